@@ -3,12 +3,16 @@
 import { pipeline } from "https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.7.6/dist/transformers.min.js";
 
 // Constants
+const TRANSFORMERS_URL = "https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.7.6/dist/transformers.min.js"; // same as the import above
+const MODEL_ID = "Xenova/distilbert-base-uncased-finetuned-sst-2-english";
 const GAS_WEB_APP_URL = "https://script.google.com/macros/s/AKfycbyMxWeRoRh2f1w153NAQKyzeK0uv8wd37nhjJFFYRLLmcqGtzzlTv7A-hAUJIiOpZIs/exec";
 const LS_KEY_UID = "sa_uid";
 
 // Global variables
-let reviews = [];
+let reviews = []; // parsed rows: { text, groundTruth }
 let sentimentPipeline = null;
+let evaluationRunning = false;
+let evaluationController = null; // AbortController of the running evaluation
 
 // DOM elements
 const analyzeBtn = document.getElementById("analyze-btn");
@@ -18,6 +22,15 @@ const loadingElement = document.querySelector(".loading");
 const errorElement = document.getElementById("error-message");
 const statusElement = document.getElementById("status");
 const apiTokenInput = document.getElementById("api-token"); // For UI compatibility only
+const pendingLogsElement = document.getElementById("pending-logs");
+const modelProgressElement = document.getElementById("model-progress");
+
+// DOM elements for dataset evaluation
+const evaluateBtn = document.getElementById("evaluate-btn");
+const cancelEvaluationBtn = document.getElementById("cancel-evaluation-btn");
+const sampleSizeInput = document.getElementById("sample-size");
+const evaluationProgress = document.getElementById("evaluation-progress");
+const evaluationResults = document.getElementById("evaluation-results");
 
 /** Get or create a stable pseudo user id. */
 function getUserId() {
@@ -37,35 +50,176 @@ function updateStatus(message, type = "info") {
   }
 }
 
+/** Random id for log events */
+function generateId() {
+  return crypto?.randomUUID?.() || Math.random().toString(36).slice(2) + Date.now().toString(36);
+}
+
+/* ----------------------------------------------------------------------
+   LOG OUTBOX – events are stored in IndexedDB until the sheet accepts them
+---------------------------------------------------------------------- */
+const OUTBOX_DB_NAME = "sa_log_outbox_hw2"; // hw3 keeps its own outbox with a different layout
+const OUTBOX_STORE = "events";
+const OUTBOX_BATCH_SIZE = 10;
+const OUTBOX_BASE_DELAY_MS = 2000;
+const OUTBOX_MAX_DELAY_MS = 5 * 60 * 1000;
+
+let outboxDbPromise = null;
+let outboxMemory = new Map(); // used when IndexedDB is unavailable
+let outboxFlushing = false;
+let outboxFlushRequested = false;
+let outboxAttempts = 0;
+let outboxRetryTimer = null;
+
+// Open (or create) the outbox database; resolves to null without IndexedDB
+function openOutboxDb() {
+  if (!outboxDbPromise) {
+    outboxDbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") return resolve(null);
+      const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(OUTBOX_STORE, { keyPath: "eventId" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("IndexedDB unavailable, log outbox kept in memory:", request.error);
+        resolve(null);
+      };
+    });
+  }
+  return outboxDbPromise;
+}
+
+// Run one request against the outbox store and resolve with its result
+async function outboxRequest(mode, makeRequest) {
+  const db = await openOutboxDb();
+  if (!db) return makeRequest(null).result;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OUTBOX_STORE, mode);
+    const request = makeRequest(tx.objectStore(OUTBOX_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Store an event; the event id is the key, so re-queuing the same event is a no-op
+function outboxPut(event) {
+  return outboxRequest("readwrite", (store) => {
+    if (!store) return { result: outboxMemory.set(event.eventId, event) };
+    return store.put(event);
+  });
+}
+
+// Oldest-first batch of queued events
+async function outboxGetBatch(limit) {
+  const events = await outboxRequest("readonly", (store) => {
+    if (!store) return { result: Array.from(outboxMemory.values()) };
+    return store.getAll();
+  });
+  return events.sort((a, b) => a.queuedAt - b.queuedAt).slice(0, limit);
+}
+
+// Remove a delivered event
+function outboxDelete(eventId) {
+  return outboxRequest("readwrite", (store) => {
+    if (!store) return { result: outboxMemory.delete(eventId) };
+    return store.delete(eventId);
+  });
+}
+
+// Number of events still waiting to be delivered
+function outboxCount() {
+  return outboxRequest("readonly", (store) => {
+    if (!store) return { result: outboxMemory.size };
+    return store.count();
+  });
+}
+
+// Show "N pending logs" while the outbox is not empty
+async function updatePendingIndicator() {
+  if (!pendingLogsElement) return;
+  const count = await outboxCount().catch(() => 0);
+  pendingLogsElement.textContent = count > 0 ? `${count} pending log${count === 1 ? "" : "s"}` : "";
+  pendingLogsElement.style.display = count > 0 ? "block" : "none";
+}
+
 /**
- * Send one analysis event as a CORS simple request (no preflight).
- * Payload fields are flattened into form data.
+ * Send one event as a CORS simple request (no preflight). Payload fields are
+ * flattened into form data. The deployed script reads a single event's
+ * fields per request, so a batch goes out one event at a time.
  */
-async function sendLogSimple(payload) {
-  // Prepare form data (CORS-safe, no custom headers)
+async function postLogEvent(event) {
+  const { payload } = event;
   const form = new URLSearchParams();
+  form.set("event_id", event.eventId);
   form.set("ts", String(payload.ts || Date.now()));
   form.set("review", String(payload.review || "").substring(0, 5000));
   form.set("sentiment", String(payload.sentiment || ""));
   form.set("meta", JSON.stringify(payload.meta || {}));
 
+  const res = await fetch(GAS_WEB_APP_URL, {
+    method: "POST",
+    body: form // application/x-www-form-urlencoded; no headers to avoid preflight
+  });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`HTTP ${res.status}: ${text}`);
+  // Apps Script answers an exception in the script with a 200 HTML error page
+  if (/^\s*</.test(text)) throw new Error(`Receiver answered with an error page (HTTP ${res.status})`);
+}
+
+// Deliver queued events oldest first; on failure retry with exponential backoff
+async function flushOutbox() {
+  if (outboxFlushing) {
+    // Picked up again once the running flush finishes
+    outboxFlushRequested = true;
+    return;
+  }
+  if (typeof navigator !== "undefined" && navigator.onLine === false) return;
+  outboxFlushing = true;
+  outboxFlushRequested = false;
+  clearTimeout(outboxRetryTimer);
+  outboxRetryTimer = null;
+
   try {
-    const res = await fetch(GAS_WEB_APP_URL, {
-      method: "POST",
-      body: form // application/x-www-form-urlencoded; no headers to avoid preflight
-    });
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}: ${await res.text()}`);
+    let batch = await outboxGetBatch(OUTBOX_BATCH_SIZE);
+    while (batch.length > 0) {
+      for (const event of batch) {
+        await postLogEvent(event);
+        await outboxDelete(event.eventId);
+      }
+      console.log(`Logged ${batch.length} event(s) to Google Sheets`);
+      outboxAttempts = 0;
+      batch = await outboxGetBatch(OUTBOX_BATCH_SIZE);
     }
-    
-    console.log("Logged to Google Sheets successfully");
-    return { success: true };
   } catch (err) {
-    console.error("Google Sheets logging failed:", err);
-    // Silent fail - don't show error to user since logging is secondary
+    outboxAttempts++;
+    // 2s, 4s, 8s, ... capped, with jitter so many tabs do not retry in lockstep
+    const delay = Math.min(OUTBOX_MAX_DELAY_MS, OUTBOX_BASE_DELAY_MS * 2 ** (outboxAttempts - 1));
+    const jittered = Math.round(delay * (0.5 + Math.random() / 2));
+    console.error(`Google Sheets logging failed, retrying in ${Math.round(jittered / 1000)}s:`, err);
+    outboxRetryTimer = setTimeout(flushOutbox, jittered);
+  } finally {
+    outboxFlushing = false;
+    updatePendingIndicator();
+    if (outboxFlushRequested && !outboxRetryTimer) flushOutbox();
+  }
+}
+
+/**
+ * Queue one analysis event for Google Sheets. The event survives reloads
+ * and network failures; delivery happens in the background.
+ */
+async function sendLogSimple(payload) {
+  const event = { eventId: payload.event_id || generateId(), payload, queuedAt: Date.now() };
+  try {
+    await outboxPut(event);
+  } catch (err) {
+    console.error("Could not queue log event:", err);
     return { success: false, error: String(err) };
   }
+  updatePendingIndicator();
+  flushOutbox();
+  return { success: true, queued: true, eventId: event.eventId };
 }
 
 // Initialize the app
@@ -75,24 +229,240 @@ document.addEventListener("DOMContentLoaded", function () {
 
   // Set up event listener for analyze button
   analyzeBtn.addEventListener("click", analyzeRandomReview);
+  if (evaluateBtn) evaluateBtn.addEventListener("click", evaluateDataset);
+  if (cancelEvaluationBtn) cancelEvaluationBtn.addEventListener("click", () => evaluationController?.abort());
 
   // Initialize transformers.js sentiment model
   initSentimentModel();
+
+  // Deliver anything left over from a previous session, and retry as soon as we are back online
+  flushOutbox();
+  window.addEventListener("online", () => {
+    outboxAttempts = 0;
+    flushOutbox();
+  });
 });
 
-// Initialize transformers.js text-classification pipeline
+/* ----------------------------------------------------------------------
+   MODEL WORKER – model loading and inference run in a module worker so
+   the page stays responsive; falls back to the main thread when module
+   workers are unavailable.
+---------------------------------------------------------------------- */
+let sentimentWorker = null;
+let workerBroken = typeof Worker === "undefined";
+let modelInWorker = false;        // true once the worker has loaded the model
+let workerRequestId = 0;
+const workerRequests = new Map(); // request id -> { resolve, reject, onProgress }
+let modelDownloads = {};          // file -> { loaded, total }
+
+/**
+ * Body of the model worker. All logic stays in app.js, so the worker is
+ * started from this function's source (see getSentimentWorker) and uses
+ * the `pipeline` imported there.
+ *
+ * Messages in:  { type: "load", id, modelId } | { type: "predict", id, text }
+ *               | { type: "batch", id, texts } | { type: "cancel", id }
+ * Messages out: { type: "progress", data } | { type: "ready", id }
+ *               | { type: "result", id, output } | { type: "batch-progress", id, done, total }
+ *               | { type: "batch-result", id, outputs } | { type: "cancelled", id }
+ *               | { type: "error", id, message }
+ */
+function sentimentWorkerMain() {
+  let loading = null;
+  const cancelledBatches = new Set();
+
+  self.addEventListener("message", async (event) => {
+    const message = event.data || {};
+    try {
+      switch (message.type) {
+        case "load":
+          loading = loading || pipeline("text-classification", message.modelId, {
+            progress_callback: (data) => self.postMessage({ type: "progress", data })
+          });
+          loading.catch(() => { loading = null; }); // a failed load can be retried
+          await loading;
+          self.postMessage({ type: "ready", id: message.id });
+          break;
+        case "predict": {
+          if (!loading) throw new Error("Sentiment model is not loaded.");
+          const classifier = await loading;
+          self.postMessage({ type: "result", id: message.id, output: await classifier(message.text) });
+          break;
+        }
+        case "batch": {
+          if (!loading) throw new Error("Sentiment model is not loaded.");
+          const classifier = await loading;
+          const outputs = [];
+          for (let i = 0; i < message.texts.length; i++) {
+            if (cancelledBatches.delete(message.id)) {
+              self.postMessage({ type: "cancelled", id: message.id });
+              return;
+            }
+            outputs.push(await classifier(message.texts[i]));
+            self.postMessage({ type: "batch-progress", id: message.id, done: i + 1, total: message.texts.length });
+            // Yield so a pending "cancel" message gets handled before the next text
+            await new Promise((resolve) => setTimeout(resolve, 0));
+          }
+          self.postMessage({ type: "batch-result", id: message.id, outputs });
+          break;
+        }
+        case "cancel":
+          cancelledBatches.add(message.id);
+          break;
+        default:
+          throw new Error(`Unknown message type: ${message.type}`);
+      }
+    } catch (error) {
+      self.postMessage({ type: "error", id: message.id ?? null, message: error.message || String(error) });
+    }
+  });
+}
+
+// Error used for cancelled batches so callers can tell it apart from failures
+function createAbortError() {
+  const error = new Error("Cancelled");
+  error.name = "AbortError";
+  return error;
+}
+
+// Start the worker once; returns null when workers cannot be used
+function getSentimentWorker() {
+  if (workerBroken) return null;
+  if (sentimentWorker) return sentimentWorker;
+
+  try {
+    const source = `import { pipeline } from "${TRANSFORMERS_URL}";\n(${sentimentWorkerMain.toString()})();`;
+    const url = URL.createObjectURL(new Blob([source], { type: "text/javascript" }));
+    sentimentWorker = new Worker(url, { type: "module" });
+  } catch (error) {
+    console.warn("Module workers unavailable, running the model on the main thread:", error);
+    workerBroken = true;
+    return null;
+  }
+  sentimentWorker.addEventListener("message", handleWorkerMessage);
+  sentimentWorker.addEventListener("error", (event) => {
+    // The worker script itself failed (e.g. blocked import): give up on it
+    console.error("Sentiment worker failed:", event.message || event);
+    event.preventDefault?.();
+    workerBroken = true;
+    modelInWorker = false;
+    sentimentWorker.terminate();
+    sentimentWorker = null;
+    const failure = new Error("Sentiment worker failed to start.");
+    failure.workerFailed = true;
+    workerRequests.forEach((request) => request.reject(failure));
+    workerRequests.clear();
+  });
+  return sentimentWorker;
+}
+
+// Route worker replies to the promise that is waiting for them
+function handleWorkerMessage(event) {
+  const message = event.data || {};
+  const request = workerRequests.get(message.id);
+
+  switch (message.type) {
+    case "progress":
+      updateModelProgress(message.data);
+      break;
+    case "ready":
+    case "result":
+      request?.resolve(message.output);
+      workerRequests.delete(message.id);
+      break;
+    case "batch-progress":
+      request?.onProgress?.(message.done, message.total);
+      break;
+    case "batch-result":
+      request?.resolve(message.outputs);
+      workerRequests.delete(message.id);
+      break;
+    case "cancelled":
+      request?.reject(createAbortError());
+      workerRequests.delete(message.id);
+      break;
+    case "error":
+      request?.reject(new Error(message.message));
+      workerRequests.delete(message.id);
+      break;
+  }
+}
+
+/**
+ * Send a request to the worker and wait for its reply.
+ * @param {string} type - "load", "predict" or "batch"
+ * @param {object} payload - { modelId }, { text } or { texts }
+ * @param {object} [hooks] - { onProgress(done, total), signal } for batches
+ */
+function callWorker(type, payload, { onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(createAbortError());
+    const id = ++workerRequestId;
+    workerRequests.set(id, { resolve, reject, onProgress });
+    signal?.addEventListener("abort", () => sentimentWorker?.postMessage({ type: "cancel", id }), { once: true });
+    getSentimentWorker().postMessage({ type, id, ...payload });
+  });
+}
+
+// Show real download progress from the Transformers.js progress_callback
+function updateModelProgress(data) {
+  if (!data || !data.file) return;
+  if (data.status === "initiate" || data.status === "download") {
+    modelDownloads[data.file] = modelDownloads[data.file] || { loaded: 0, total: 0 };
+  } else if (data.status === "progress") {
+    modelDownloads[data.file] = { loaded: data.loaded || 0, total: data.total || 0 };
+  } else if (data.status === "done" && modelDownloads[data.file]) {
+    modelDownloads[data.file].loaded = modelDownloads[data.file].total;
+  } else {
+    return;
+  }
+
+  const files = Object.values(modelDownloads);
+  const loaded = files.reduce((sum, file) => sum + file.loaded, 0);
+  const total = files.reduce((sum, file) => sum + file.total, 0);
+  const percent = total ? Math.round((loaded / total) * 100) : 0;
+  const mb = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+  updateStatus(`Downloading sentiment model: ${percent}% (${mb(loaded)} / ${mb(total)} MB)`, "info");
+  if (modelProgressElement) {
+    modelProgressElement.style.display = "block";
+    modelProgressElement.value = percent;
+  }
+}
+
+// Hide the download bar and forget per-file progress
+function resetModelProgress() {
+  modelDownloads = {};
+  if (modelProgressElement) {
+    modelProgressElement.style.display = "none";
+    modelProgressElement.value = 0;
+  }
+}
+
+// Initialize the text-classification pipeline, in the worker when there is one
 async function initSentimentModel() {
   try {
     updateStatus("Loading sentiment model...", "info");
-    
-    sentimentPipeline = await pipeline(
-      "text-classification",
-      "Xenova/distilbert-base-uncased-finetuned-sst-2-english"
-    );
-    
+    resetModelProgress();
+
+    if (getSentimentWorker()) {
+      try {
+        await callWorker("load", { modelId: MODEL_ID });
+        modelInWorker = true;
+        sentimentPipeline = (text) => callWorker("predict", { text });
+      } catch (error) {
+        if (!error.workerFailed) throw error;
+      }
+    }
+    if (!sentimentPipeline) {
+      sentimentPipeline = await pipeline("text-classification", MODEL_ID, { progress_callback: updateModelProgress });
+    }
+
+    resetModelProgress();
     updateStatus("Sentiment model ready", "success");
   } catch (error) {
     console.error("Failed to load sentiment model:", error);
+    resetModelProgress();
     showError("Failed to load sentiment model. Please check your network connection and try again.");
     updateStatus("Model load failed", "error");
   }
@@ -113,8 +483,11 @@ function loadReviews() {
         delimiter: "\t",
         complete: (results) => {
           reviews = results.data
-            .map((row) => row.text)
-            .filter((text) => typeof text === "string" && text.trim() !== "");
+            .filter((row) => typeof row.text === "string" && row.text.trim() !== "")
+            .map((row) => ({
+              text: row.text,
+              groundTruth: parseGroundTruth(row.sentiment)
+            }));
           console.log("Loaded", reviews.length, "reviews");
           updateStatus(`Loaded ${reviews.length} reviews`, "success");
         },
@@ -144,7 +517,7 @@ async function analyzeRandomReview() {
     return;
   }
 
-  const selectedReview = reviews[Math.floor(Math.random() * reviews.length)];
+  const selectedReview = reviews[Math.floor(Math.random() * reviews.length)].text;
 
   // Display the review
   reviewText.textContent = selectedReview;
@@ -163,7 +536,7 @@ async function analyzeRandomReview() {
     // Display result
     displaySentimentResult(sentiment, label, score);
     
-    // Log to Google Sheets (fire-and-forget)
+    // Log to Google Sheets (queued in the outbox)
     logAnalysis(selectedReview, sentiment, label, score);
     
   } catch (error) {
@@ -175,6 +548,172 @@ async function analyzeRandomReview() {
   }
 }
 
+/* ----------------------------------------------------------------------
+   DATASET EVALUATION – scores the model against the `sentiment` column
+---------------------------------------------------------------------- */
+/**
+ * Map a ground-truth cell from the TSV to a sentiment bucket.
+ * Accepts 1/-1 (as shipped in reviews_test.tsv) as well as 1/0 and text labels.
+ * @returns {string|null} "positive", "negative" or null if unknown
+ */
+function parseGroundTruth(value) {
+  const raw = String(value ?? "").trim().toLowerCase();
+  if (raw === "1" || raw === "positive" || raw === "pos") return "positive";
+  if (raw === "0" || raw === "-1" || raw === "negative" || raw === "neg") return "negative";
+  return null;
+}
+
+// Pick `size` random rows without replacement (all rows if size is empty or too large)
+function sampleRows(rows, size) {
+  if (!size || size >= rows.length) return rows.slice();
+  const pool = rows.slice();
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, size);
+}
+
+// Run the model over the whole dataset (or a sample) and report metrics
+async function evaluateDataset() {
+  hideError();
+  if (evaluationRunning) return;
+
+  const labelled = reviews.filter((row) => row.groundTruth !== null);
+  if (labelled.length === 0) {
+    showError("No labelled reviews available for evaluation.");
+    return;
+  }
+  if (!sentimentPipeline) {
+    showError("Sentiment model is not ready yet. Please wait a moment.");
+    return;
+  }
+
+  const requested = parseInt(sampleSizeInput?.value, 10);
+  const rows = sampleRows(labelled, Number.isFinite(requested) && requested > 0 ? requested : 0);
+
+  evaluationRunning = true;
+  evaluationController = new AbortController();
+  evaluateBtn.disabled = true;
+  analyzeBtn.disabled = true;
+  if (cancelEvaluationBtn) cancelEvaluationBtn.style.display = "inline-block";
+  if (evaluationResults) evaluationResults.innerHTML = "";
+
+  try {
+    const outputs = await analyzeSentimentBatch(rows.map((row) => row.text), {
+      signal: evaluationController.signal,
+      onProgress: (done, total) => {
+        if (evaluationProgress) evaluationProgress.textContent = `Evaluating ${done} / ${total} reviews...`;
+      }
+    });
+    const predictions = rows.map((row, i) => {
+      const { sentiment, label, score } = extractSentimentData(outputs[i]);
+      return { text: row.text, actual: row.groundTruth, predicted: sentiment, label, score };
+    });
+    displayEvaluationResults(computeEvaluationMetrics(predictions));
+    updateStatus(`Evaluated ${predictions.length} reviews`, "success");
+  } catch (error) {
+    if (error.name === "AbortError") {
+      updateStatus("Evaluation cancelled", "info");
+    } else {
+      console.error("Evaluation error:", error);
+      showError("Evaluation failed: " + (error.message || error));
+    }
+  } finally {
+    if (evaluationProgress) evaluationProgress.textContent = "";
+    evaluationRunning = false;
+    evaluationController = null;
+    evaluateBtn.disabled = false;
+    analyzeBtn.disabled = false;
+    if (cancelEvaluationBtn) cancelEvaluationBtn.style.display = "none";
+  }
+}
+
+/**
+ * Compute accuracy, per-class precision/recall/F1 and a confusion matrix.
+ * A "neutral" prediction is never correct, since the ground truth is binary.
+ * @param {Array<{actual: string, predicted: string}>} predictions
+ */
+function computeEvaluationMetrics(predictions) {
+  const classes = ["positive", "negative"];
+  const predictedClasses = ["positive", "negative", "neutral"];
+
+  // confusion[actual][predicted] = count
+  const confusion = {};
+  classes.forEach((actual) => {
+    confusion[actual] = {};
+    predictedClasses.forEach((predicted) => { confusion[actual][predicted] = 0; });
+  });
+  predictions.forEach((p) => { confusion[p.actual][p.predicted] += 1; });
+
+  const total = predictions.length;
+  const correct = classes.reduce((sum, c) => sum + confusion[c][c], 0);
+
+  const perClass = {};
+  classes.forEach((c) => {
+    const tp = confusion[c][c];
+    const predictedAsC = classes.reduce((sum, actual) => sum + confusion[actual][c], 0);
+    const actualC = predictedClasses.reduce((sum, predicted) => sum + confusion[c][predicted], 0);
+    const precision = predictedAsC ? tp / predictedAsC : 0;
+    const recall = actualC ? tp / actualC : 0;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+    perClass[c] = { precision, recall, f1, support: actualC };
+  });
+
+  return {
+    total,
+    accuracy: total ? correct / total : 0,
+    perClass,
+    confusion,
+    misclassified: predictions.filter((p) => p.actual !== p.predicted)
+  };
+}
+
+// Render evaluation metrics, confusion matrix and misclassified reviews
+function displayEvaluationResults(metrics) {
+  if (!evaluationResults) return;
+  const pct = (value) => `${(value * 100).toFixed(1)}%`;
+
+  const classRows = Object.entries(metrics.perClass).map(([c, m]) => `
+      <tr><td>${c}</td><td>${pct(m.precision)}</td><td>${pct(m.recall)}</td><td>${pct(m.f1)}</td><td>${m.support}</td></tr>`).join("");
+
+  const matrixRows = Object.entries(metrics.confusion).map(([actual, counts]) => `
+      <tr><th>${actual}</th>${Object.values(counts).map((n) => `<td>${n}</td>`).join("")}</tr>`).join("");
+
+  const misclassifiedItems = metrics.misclassified.map((p) => `
+      <li>
+        <span class="eval-tag ${p.actual}">expected ${p.actual}</span>
+        <span class="eval-tag ${p.predicted}">got ${p.label} (${pct(p.score)})</span>
+        <p>${escapeHtml(p.text)}</p>
+      </li>`).join("");
+
+  evaluationResults.innerHTML = `
+    <p class="eval-summary">Accuracy: <strong>${pct(metrics.accuracy)}</strong> on ${metrics.total} reviews</p>
+    <table class="eval-table">
+      <thead><tr><th>Class</th><th>Precision</th><th>Recall</th><th>F1</th><th>Support</th></tr></thead>
+      <tbody>${classRows}</tbody>
+    </table>
+    <h4>Confusion matrix (rows: actual, columns: predicted)</h4>
+    <table class="eval-table">
+      <thead><tr><th></th><th>positive</th><th>negative</th><th>neutral</th></tr></thead>
+      <tbody>${matrixRows}</tbody>
+    </table>
+    <h4>Misclassified reviews (${metrics.misclassified.length})</h4>
+    <ul class="eval-misclassified">${misclassifiedItems}</ul>
+  `;
+}
+
+// Escape text before inserting it into an HTML template
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+
 // Analyze sentiment using transformers.js
 async function analyzeSentiment(text) {
   if (!sentimentPipeline) {
@@ -190,6 +729,30 @@ async function analyzeSentiment(text) {
   return [output];
 }
 
+/**
+ * Analyze several texts; in the worker they run as one cancellable batch.
+ * @param {string[]} texts
+ * @param {object} [hooks] - { onProgress(done, total), signal: AbortSignal }
+ * @returns {Promise<Array>} One result per text, shaped like analyzeSentiment's
+ */
+async function analyzeSentimentBatch(texts, { onProgress, signal } = {}) {
+  if (!sentimentPipeline) {
+    throw new Error("Sentiment model is not initialized.");
+  }
+  if (modelInWorker) {
+    const outputs = await callWorker("batch", { texts }, { onProgress, signal });
+    return outputs.map((output) => [output]);
+  }
+
+  const results = [];
+  for (let i = 0; i < texts.length; i++) {
+    if (signal?.aborted) throw createAbortError();
+    results.push(await analyzeSentiment(texts[i]));
+    onProgress?.(i + 1, texts.length);
+  }
+  return results;
+}
+
 // Extract sentiment data from result
 function extractSentimentData(result) {
   let sentiment = "neutral";
@@ -236,7 +799,7 @@ async function logAnalysis(review, sentiment, label, score) {
   const userId = getUserId();
   const meta = {
     user_id: userId,
-    model: "Xenova/distilbert-base-uncased-finetuned-sst-2-english",
+    model: MODEL_ID,
     sentiment_bucket: sentiment,
     label: label,
     confidence: score,
@@ -252,7 +815,7 @@ async function logAnalysis(review, sentiment, label, score) {
     meta: meta
   };
 
-  // Send log (fire-and-forget)
+  // Queue the log; the outbox delivers it in the background
   sendLogSimple(payload).catch(err => {
     console.error("Background logging error:", err);
   });
@@ -9,23 +9,128 @@ import { pipeline } from "https://cdn.jsdelivr.net/npm/@huggingface/transformers
 // Constants
 const GAS_WEB_APP_URL = "https://script.google.com/macros/s/AKfycbxe8UyJXOFRTSadcCOvOVjaFMpLKnb9wHLc9QqapiR08clgfWui14EixT_sRthslZxT/exec";
 const LS_KEY_UID = "sa_uid";
+const LS_KEY_PROVIDER = "sa_provider";
+const LS_KEY_API_TOKEN = "hfApiToken";
+const LS_KEY_MODEL = "sa_model";
+const DEFAULT_MODEL_ID = "Xenova/distilbert-base-uncased-finetuned-sst-2-english";
+const REMOTE_MODEL_ID = "distilbert-base-uncased-finetuned-sst-2-english";
+const REMOTE_ENDPOINT_URL = `https://router.huggingface.co/hf-inference/models/${REMOTE_MODEL_ID}`;
 
 // Global variables
-let reviews = [];
+let reviews = []; // parsed rows: { id, text, summary, productId, userId, helpfulY, helpfulN, groundTruth }
 let sentimentPipeline = null;
+let activeModelId = DEFAULT_MODEL_ID;
+let evaluationController = null; // AbortController of the running evaluation
+let analysisRunning = false;      // a single review is being analyzed
+let currentAnalysis = null;       // last analysis shown: { row, source, sentiment, label, score, action, eventId, historyId }
 
 // DOM elements
 const analyzeBtn = document.getElementById("analyze-btn");
+const analyzeCustomBtn = document.getElementById("analyze-custom-btn");
+const customReviewInput = document.getElementById("custom-review");
 const reviewText = document.getElementById("review-text");
 const sentimentResult = document.getElementById("sentiment-result");
+const labelDistribution = document.getElementById("label-distribution");
+const sentenceBreakdown = document.getElementById("sentence-breakdown");
+const aspectTagsElement = document.getElementById("aspect-tags");
+const reviewLanguageElement = document.getElementById("review-language");
+
+// DOM elements for privacy settings
+const consentBanner = document.getElementById("consent-banner");
+const consentAcceptBtn = document.getElementById("consent-accept-btn");
+const consentDeclineBtn = document.getElementById("consent-decline-btn");
+const consentToggleBtn = document.getElementById("consent-toggle-btn");
+const privacyLevelSelect = document.getElementById("privacy-level");
+const privacyStatusElement = document.getElementById("privacy-status");
+const forgetMeBtn = document.getElementById("forget-me-btn");
+
+// DOM elements for log sinks
+const logSinksElement = document.getElementById("log-sinks");
+const downloadLogBtn = document.getElementById("download-log-btn");
+const clearLocalLogBtn = document.getElementById("clear-local-log-btn");
 const loadingElement = document.querySelector(".loading");
 const errorElement = document.getElementById("error-message");
 const statusElement = document.getElementById("status");
-const apiTokenInput = document.getElementById("api-token"); // UI compatibility
+const modelProgressElement = document.getElementById("model-progress");
+const pendingLogsElement = document.getElementById("pending-logs");
+const apiTokenInput = document.getElementById("api-token");
+const providerSelect = document.getElementById("provider-select");
+const modelSelect = document.getElementById("model-select");
+const aggregationSelect = document.getElementById("aggregation-select");
+const cacheStatsElement = document.getElementById("cache-stats");
+const clearCacheBtn = document.getElementById("clear-cache-btn");
+
+// DOM elements for the review queue
+const reviewQueueBody = document.getElementById("review-queue-rows");
+const reviewQueueCount = document.getElementById("review-queue-count");
+const reviewExportButtons = document.querySelectorAll("[data-review-export]");
 
 // NEW: DOM elements for business action
 const actionResult = document.getElementById("action-result");
 const actionButtons = document.getElementById("action-buttons");
+const actionFeedback = document.getElementById("action-feedback");
+const explainBtn = document.getElementById("explain-btn");
+const explainPhrasesElement = document.getElementById("explain-phrases");
+
+// DOM elements for dataset evaluation
+const evaluateBtn = document.getElementById("evaluate-btn");
+const cancelEvaluationBtn = document.getElementById("cancel-evaluation-btn");
+const evalRecordHistoryInput = document.getElementById("eval-record-history");
+const sampleSizeInput = document.getElementById("sample-size");
+const evaluationProgress = document.getElementById("evaluation-progress");
+const evaluationResults = document.getElementById("evaluation-results");
+
+// DOM elements for the dataset browser
+const browserSearchInput = document.getElementById("browser-search");
+const browserProductSelect = document.getElementById("browser-product");
+const browserLabelSelect = document.getElementById("browser-label");
+const browserSortSelect = document.getElementById("browser-sort");
+const browserTableBody = document.getElementById("browser-rows");
+const browserPrevBtn = document.getElementById("browser-prev");
+const browserNextBtn = document.getElementById("browser-next");
+const browserPageInfo = document.getElementById("browser-page-info");
+
+// DOM elements for importing review files
+const fileDropZone = document.getElementById("file-drop");
+const fileInput = document.getElementById("file-input");
+const importWizard = document.getElementById("import-wizard");
+const columnMappingElement = document.getElementById("column-mapping");
+const applyMappingBtn = document.getElementById("apply-mapping-btn");
+const importErrorsElement = document.getElementById("import-errors");
+
+// DOM elements for the analysis history
+const historyCountElement = document.getElementById("history-count");
+const historyListElement = document.getElementById("history-rows");
+const historyExportButtons = document.querySelectorAll("[data-export-format]");
+const clearHistoryBtn = document.getElementById("clear-history-btn");
+
+// DOM elements for the dashboard
+const dashboardElement = document.getElementById("dashboard");
+const dashboardSourceSelect = document.getElementById("dashboard-source");
+
+// DOM elements for the product and reviewer views
+const productViewElement = document.getElementById("product-view");
+const productDetailElement = document.getElementById("product-detail");
+const reviewerViewElement = document.getElementById("reviewer-view");
+const reviewerMinInput = document.getElementById("reviewer-min-reviews");
+const reviewerShareInput = document.getElementById("reviewer-negative-share");
+
+// DOM elements for the threshold simulator
+const simulatorRunBtn = document.getElementById("simulator-run-btn");
+const simCouponInput = document.getElementById("sim-coupon-threshold");
+const simReferralInput = document.getElementById("sim-referral-threshold");
+const simCouponLabel = document.getElementById("sim-coupon-value");
+const simReferralLabel = document.getElementById("sim-referral-value");
+const simCouponCostInput = document.getElementById("sim-coupon-cost");
+const simReferralValueInput = document.getElementById("sim-referral-value-input");
+const simulatorResults = document.getElementById("simulator-results");
+
+// DOM elements for the coupon view
+const couponCodeInput = document.getElementById("coupon-code");
+const couponValidateBtn = document.getElementById("coupon-validate-btn");
+const couponRedeemBtn = document.getElementById("coupon-redeem-btn");
+const couponCheckResult = document.getElementById("coupon-check");
+const couponListElement = document.getElementById("coupon-rows");
 
 /** Get or create a stable pseudo user id. */
 function getUserId() {
@@ -37,6 +142,11 @@ function getUserId() {
   return uid;
 }
 
+/** Random unique id for events and history entries. */
+function generateId() {
+  return crypto?.randomUUID?.() || Math.random().toString(36).slice(2) + Date.now().toString(36);
+}
+
 /** Update status message */
 function updateStatus(message, type = "info") {
   if (statusElement) {
@@ -47,51 +157,213 @@ function updateStatus(message, type = "info") {
 
 /* ----------------------------------------------------------------------
    BUSINESS LOGIC – single function as per assignment
+   Thresholds and actions come from a declarative rule set
+   (business_rules.json); the built-in set below is only a fallback.
 ---------------------------------------------------------------------- */
-/**
- * Determines the appropriate business action based on sentiment analysis.
- * @param {number} confidence - Confidence score (0.0 to 1.0)
- * @param {string} label - Model label (e.g., "POSITIVE", "NEGATIVE")
- * @returns {object} Action metadata: code, message, color, icon, cssClass
- */
-function determineBusinessAction(confidence, label) {
-  // Normalize to 0 (worst) – 1 (best)
-  let normalizedScore;
-  if (label === "POSITIVE") {
-    normalizedScore = confidence;
-  } else if (label === "NEGATIVE") {
-    normalizedScore = 1.0 - confidence;
-  } else {
-    // Fallback for any other label (should not happen with SST-2)
-    normalizedScore = 0.5;
-  }
+const BUSINESS_RULES_URL = "business_rules.json";
 
-  // Apply thresholds
-  if (normalizedScore <= 0.4) {
-    return {
-      actionCode: "OFFER_COUPON",
+// Fallback when business_rules.json cannot be loaded: the original three
+// actions and 0.4 / 0.7 cut-offs, plus the settings the coupon, referral and
+// review-queue code cannot run without. Everything else (more actions,
+// translations, aspect routing) is owned by the JSON file.
+const DEFAULT_BUSINESS_RULES = {
+  version: 1,
+  actions: {
+    OFFER_COUPON: {
       uiMessage: "We are truly sorry for your negative experience. Please accept this 50% discount coupon.",
       uiColor: "#dc3545",
       icon: "fa-fire",
       cssClass: "coupon"
-    };
-  } else if (normalizedScore < 0.7) {
-    return {
-      actionCode: "REQUEST_FEEDBACK",
+    },
+    REQUEST_FEEDBACK: {
       uiMessage: "Thank you for your feedback! Could you tell us how we can improve?",
       uiColor: "#6b7280",
       icon: "fa-clipboard-question",
       cssClass: "feedback"
-    };
-  } else {
-    return {
-      actionCode: "ASK_REFERRAL",
+    },
+    ASK_REFERRAL: {
       uiMessage: "We're thrilled you enjoyed your experience! Refer a friend and both of you will earn rewards.",
       uiColor: "#3b82f6",
       icon: "fa-user-friends",
       cssClass: "referral"
-    };
+    }
+  },
+  rules: [
+    { id: "negative-coupon", priority: 30, when: { normalizedScore: { lte: 0.4 } }, action: "OFFER_COUPON" },
+    { id: "mixed-feedback", priority: 20, when: { normalizedScore: { lt: 0.7 } }, action: "REQUEST_FEEDBACK" },
+    { id: "positive-referral", priority: 10, when: {}, action: "ASK_REFERRAL" }
+  ],
+  coupon: { prefix: "SAVE50", discountPercent: 50, validityDays: 30, perUserWindowDays: 30 },
+  referral: { baseUrl: "", testimonialUrl: "", signingKey: "sa-referral-v1", rewardPercent: 20 },
+  review: { minConfidence: 0.75, actions: ["OFFER_COUPON"] }
+};
+
+// Active rule set (replaced by loadBusinessRules once the JSON file is fetched)
+let businessRules = DEFAULT_BUSINESS_RULES;
+
+// Load the declarative rule set; keep the built-in defaults if it is missing or invalid
+async function loadBusinessRules() {
+  try {
+    const response = await fetch(BUSINESS_RULES_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const ruleSet = await response.json();
+    validateBusinessRules(ruleSet);
+    businessRules = ruleSet;
+    console.log("Loaded", ruleSet.rules.length, "business rules");
+  } catch (error) {
+    console.warn("Using built-in business rules:", error.message || error);
+    businessRules = DEFAULT_BUSINESS_RULES;
+  }
+  seedSimulatorThresholds();
+}
+
+/**
+ * Validate the shape of a rule set. Throws on the first problem so a broken
+ * rules file never half-applies.
+ */
+function validateBusinessRules(ruleSet) {
+  if (!ruleSet || typeof ruleSet.actions !== "object" || !Array.isArray(ruleSet.rules)) {
+    throw new Error("Rule set must have an 'actions' object and a 'rules' array");
+  }
+  ruleSet.rules.forEach((rule, index) => {
+    const name = rule.id || `#${index}`;
+    if (!ruleSet.actions[rule.action]) {
+      throw new Error(`Rule ${name} references unknown action '${rule.action}'`);
+    }
+    if (typeof rule.priority !== "number") {
+      throw new Error(`Rule ${name} needs a numeric priority`);
+    }
+    validateRuleConditions(rule.when, name);
+  });
+}
+
+// Condition keys ruleMatches understands; ranges are { gt, gte, lt, lte } objects
+const RANGE_CONDITIONS = ["normalizedScore", "reviewLength", "helpfulY", "helpfulN"];
+const LIST_CONDITIONS = ["label", "productId", "keywords"];
+const RANGE_BOUNDS = ["gt", "gte", "lt", "lte"];
+const ASPECT_STATES = ["praised", "criticised", "mentioned"];
+
+// Reject typos and malformed values: an ignored condition would make the rule match everything
+function validateRuleConditions(when, name) {
+  if (when === undefined) return;
+  if (!isPlainObject(when)) throw new Error(`Rule ${name}: 'when' must be an object`);
+  const isList = (value) => [].concat(value).length > 0 && [].concat(value).every((item) => typeof item === "string");
+
+  Object.entries(when).forEach(([key, value]) => {
+    if (RANGE_CONDITIONS.includes(key)) {
+      const bounds = isPlainObject(value) ? Object.keys(value) : [];
+      if (bounds.length === 0 || bounds.some((bound) => !RANGE_BOUNDS.includes(bound) || typeof value[bound] !== "number")) {
+        throw new Error(`Rule ${name}: '${key}' must be an object of numeric ${RANGE_BOUNDS.join("/")} bounds`);
+      }
+    } else if (LIST_CONDITIONS.includes(key)) {
+      if (!isList(value)) throw new Error(`Rule ${name}: '${key}' must be a string or a list of strings`);
+    } else if (key === "aspects") {
+      const states = isPlainObject(value) ? Object.entries(value) : [];
+      if (states.length === 0 || states.some(([state, names]) => !ASPECT_STATES.includes(state) || !isList(names))) {
+        throw new Error(`Rule ${name}: 'aspects' must map ${ASPECT_STATES.join("/")} to aspect names`);
+      }
+    } else {
+      throw new Error(`Rule ${name} has unknown condition '${key}'`);
+    }
+  });
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Check a numeric fact against { gt, gte, lt, lte } bounds
+function matchesRange(value, range) {
+  if (typeof value !== "number" || Number.isNaN(value)) return false;
+  if (range.gt !== undefined && !(value > range.gt)) return false;
+  if (range.gte !== undefined && !(value >= range.gte)) return false;
+  if (range.lt !== undefined && !(value < range.lt)) return false;
+  if (range.lte !== undefined && !(value <= range.lte)) return false;
+  return true;
+}
+
+// Check whether every condition of a rule holds for the given facts
+function ruleMatches(when, facts) {
+  const conditions = when || {};
+  for (const field of RANGE_CONDITIONS) {
+    if (conditions[field] && !matchesRange(facts[field], conditions[field])) return false;
+  }
+  if (conditions.label && ![].concat(conditions.label).map((l) => l.toUpperCase()).includes(facts.label)) {
+    return false;
+  }
+  if (conditions.productId && ![].concat(conditions.productId).includes(facts.productId)) {
+    return false;
+  }
+  if (conditions.aspects) {
+    // { criticised: [...], praised: [...], mentioned: [...] }: any listed aspect in that state
+    for (const [state, names] of Object.entries(conditions.aspects)) {
+      const tagged = (facts.aspects && facts.aspects[state]) || [];
+      if (![].concat(names).some((name) => tagged.includes(name))) return false;
+    }
   }
+  if (conditions.keywords) {
+    const text = facts.text.toLowerCase();
+    if (![].concat(conditions.keywords).some((k) => text.includes(String(k).toLowerCase()))) return false;
+  }
+  return true;
+}
+
+/**
+ * Determines the appropriate business action based on sentiment analysis.
+ * @param {number} confidence - Confidence score (0.0 to 1.0)
+ * @param {string} label - Model label (e.g., "POSITIVE", "NEGATIVE")
+ * @param {object} [context] - Review data the rules may match on:
+ *   { text, productId, helpfulY, helpfulN, distribution, aspects, language }
+ *   where distribution is { POSITIVE, NEGATIVE, NEUTRAL } summing to 1,
+ *   aspects is the output of detectAspects and language picks a localized uiMessage
+ * @param {object[]} [rules] - Rules to evaluate; the threshold simulator passes edited copies
+ * @returns {object} Action metadata: code, message, color, icon, cssClass, ruleId
+ */
+function determineBusinessAction(confidence, label, context = {}, rules = businessRules.rules) {
+  // Normalize to 0 (worst) – 1 (best)
+  let normalizedScore;
+  const distribution = context.distribution;
+  if (distribution) {
+    // Expected value with NEGATIVE = 0, NEUTRAL = 0.5, POSITIVE = 1
+    normalizedScore = (distribution.POSITIVE || 0) + 0.5 * (distribution.NEUTRAL || 0);
+  } else if (label === "POSITIVE") {
+    normalizedScore = confidence;
+  } else if (label === "NEGATIVE") {
+    normalizedScore = 1.0 - confidence;
+  } else {
+    // NEUTRAL, or any label we cannot place on the scale
+    normalizedScore = 0.5;
+  }
+
+  const text = String(context.text || "");
+  const facts = {
+    normalizedScore,
+    label: String(label || "").toUpperCase(),
+    text,
+    reviewLength: text.length,
+    helpfulY: Number(context.helpfulY),
+    helpfulN: Number(context.helpfulN),
+    productId: context.productId || "",
+    aspects: groupAspects(context.aspects)
+  };
+
+  // Highest priority wins; ties keep file order
+  const rule = rules
+    .filter((r) => ruleMatches(r.when, facts))
+    .sort((a, b) => b.priority - a.priority)[0];
+
+  // No rule matched: fall back to asking for feedback, which is never harmful
+  const actionCode = rule ? rule.action : "REQUEST_FEEDBACK";
+  const action = businessRules.actions[actionCode] || DEFAULT_BUSINESS_RULES.actions.REQUEST_FEEDBACK;
+  const localized = action.localizedMessages && action.localizedMessages[context.language];
+  return {
+    actionCode,
+    ...action,
+    uiMessage: localized || action.uiMessage,
+    language: localized ? context.language : "en",
+    ruleId: rule ? rule.id : null,
+    normalizedScore
+  };
 }
 
 /**
@@ -125,103 +397,669 @@ function displayBusinessAction(action) {
     headingEl.style.color = action.uiColor;
   }
 
-  // Generate action buttons
-  actionButtons.innerHTML = '';
-  if (action.actionCode === "OFFER_COUPON") {
-    actionButtons.innerHTML = `
-      <button class="action-button coupon-button" onclick="window.generateCoupon()">
-        <i class="fas fa-tag"></i> Generate 50% Off Coupon
-      </button>
-      <button class="action-button" style="background:#718096; color:white;" onclick="window.contactSupport()">
-        <i class="fas fa-headset"></i> Contact Support
-      </button>
-    `;
-  } else if (action.actionCode === "REQUEST_FEEDBACK") {
-    actionButtons.innerHTML = `
-      <a href="https://forms.gle/g1KwfQmetxRGoHQy6" target="_blank" class="action-button feedback-button">
-        <i class="fas fa-edit"></i> Complete Survey
-      </a>
-      <button class="action-button" style="background:#4a5568; color:white;" onclick="window.scheduleCall()">
-        <i class="fas fa-phone"></i> Schedule Call
-      </button>
-    `;
-  } else if (action.actionCode === "ASK_REFERRAL") {
-    actionButtons.innerHTML = `
-      <button class="action-button referral-button" onclick="window.shareReferral()">
-        <i class="fas fa-share-alt"></i> Share Referral Link
-      </button>
-      <button class="action-button" style="background:#2b6cb0; color:white;" onclick="window.writeTestimonial()">
-        <i class="fas fa-star"></i> Write Testimonial
-      </button>
-    `;
-  }
-}
-
-// ----------------------------------------------------------------------
-// Action button handlers (exposed globally for onclick)
-window.generateCoupon = function() {
-  const code = "SAVE50-" + Math.random().toString(36).substring(2,8).toUpperCase();
-  alert(`Your 50% discount coupon: ${code}\nValid for 30 days.`);
+  // Buttons come from the action registry
+  showActionFeedback("");
+  renderActionButtons(action.actionCode);
+}
+
+// Show the outcome of an action button under the buttons
+function showActionFeedback(message, type = "info") {
+  if (!actionFeedback) return;
+  actionFeedback.textContent = message;
+  actionFeedback.className = `action-feedback ${type}`;
+  actionFeedback.style.display = message ? "block" : "none";
+}
+
+/* ----------------------------------------------------------------------
+   ACTION REGISTRY – the buttons each action code offers and what they do
+   Buttons are built as DOM nodes and handled by one delegated listener,
+   so no inline handlers or globals are needed (strict CSP friendly).
+   Every press is announced on `actionEvents` for the logger and analytics.
+---------------------------------------------------------------------- */
+const ACTION_EVENTS = {
+  PRESSED: "action:pressed",     // before the handler runs
+  COMPLETED: "action:completed", // handler finished
+  FAILED: "action:failed"        // handler threw; detail.error is set
 };
-window.contactSupport = function() {
+
+/**
+ * @typedef {object} ActionEventDetail
+ * @property {string} actionCode - Action the button belongs to
+ * @property {string} buttonId - Registry id of the pressed button
+ * @property {object|null} analysis - Analysis on screen when it was pressed
+ * @property {Error} [error] - Only on ACTION_EVENTS.FAILED
+ */
+const actionEvents = new EventTarget();
+
+// actionCode -> { buttons: [{ id, label, icon, className?, color?, href?, handler?, isAvailable? }] }
+const actionRegistry = new Map();
+
+/**
+ * Declare the buttons shown for an action code. A button either opens `href`
+ * in a new tab or runs `handler({ actionCode, buttonId, analysis })`; one with
+ * an `isAvailable()` that returns false (e.g. unconfigured) is not shown.
+ */
+function registerAction(actionCode, { buttons }) {
+  buttons.forEach((button) => {
+    if (!button.id || !button.label) throw new Error(`Buttons of ${actionCode} need an id and a label`);
+    if (!button.href && typeof button.handler !== "function") {
+      throw new Error(`Button '${button.id}' of ${actionCode} needs an href or a handler`);
+    }
+  });
+  actionRegistry.set(actionCode, { buttons });
+}
+
+/**
+ * Subscribe to action button events.
+ * @param {string} type - One of ACTION_EVENTS
+ * @param {(detail: ActionEventDetail) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+function onActionEvent(type, listener) {
+  const wrapped = (event) => listener(event.detail);
+  actionEvents.addEventListener(type, wrapped);
+  return () => actionEvents.removeEventListener(type, wrapped);
+}
+
+function emitActionEvent(type, detail) {
+  actionEvents.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+// Build the buttons registered for an action; unknown codes get none
+function renderActionButtons(actionCode) {
+  if (!actionButtons) return;
+  const entry = actionRegistry.get(actionCode);
+  const buttons = (entry ? entry.buttons : []).filter((button) => !button.isAvailable || button.isAvailable());
+  actionButtons.replaceChildren(...buttons.map((button) => {
+    const element = document.createElement(button.href ? "a" : "button");
+    element.className = `action-button ${button.className || ""}`.trim();
+    if (button.href) {
+      element.href = button.href;
+      element.target = "_blank";
+      element.rel = "noopener";
+    } else {
+      element.type = "button";
+    }
+    if (button.color) {
+      element.style.background = button.color;
+      element.style.color = "white";
+    }
+    element.dataset.actionCode = actionCode;
+    element.dataset.actionButton = button.id;
+    const icon = document.createElement("i");
+    icon.className = `fas ${button.icon}`;
+    element.append(icon, ` ${button.label}`);
+    return element;
+  }));
+}
+
+// Delegated click handler for every rendered action button
+async function handleActionButtonClick(event) {
+  const element = event.target.closest("[data-action-button]");
+  if (!element || !actionButtons.contains(element)) return;
+  const entry = actionRegistry.get(element.dataset.actionCode);
+  const button = entry && entry.buttons.find((item) => item.id === element.dataset.actionButton);
+  if (!button) return;
+
+  const detail = { actionCode: element.dataset.actionCode, buttonId: button.id, analysis: currentAnalysis };
+  emitActionEvent(ACTION_EVENTS.PRESSED, detail);
+  if (!button.handler) {
+    emitActionEvent(ACTION_EVENTS.COMPLETED, detail); // links open by themselves
+    return;
+  }
+
+  // Disabled while running so a double click cannot issue two coupons
+  element.disabled = true;
+  try {
+    await button.handler(detail);
+    emitActionEvent(ACTION_EVENTS.COMPLETED, detail);
+  } catch (error) {
+    console.error(`Action '${button.id}' failed:`, error);
+    emitActionEvent(ACTION_EVENTS.FAILED, { ...detail, error });
+  } finally {
+    element.disabled = false;
+  }
+}
+
+function initActionRegistry() {
+  if (actionButtons) actionButtons.addEventListener("click", handleActionButtonClick);
+
+  // Logger: every press becomes a follow-up row next to its analysis
+  onActionEvent(ACTION_EVENTS.PRESSED, ({ buttonId, analysis }) => {
+    logFollowUpEvent("action_clicked", { action_button: buttonId }, analysis);
+  });
+  onActionEvent(ACTION_EVENTS.FAILED, ({ buttonId, analysis, error }) => {
+    logFollowUpEvent("action_failed", { action_button: buttonId, error: String(error.message || error) }, analysis);
+  });
+
+  // Analytics: remember pressed buttons on the history entry for the dashboard
+  onActionEvent(ACTION_EVENTS.PRESSED, ({ buttonId, analysis }) => {
+    const entry = analysis && analysisHistory.find((item) => item.id === analysis.historyId);
+    if (!entry) return;
+    entry.buttonsPressed = [...new Set([...(entry.buttonsPressed || []), buttonId])];
+    saveHistory();
+    renderDashboard();
+  });
+}
+
+// Action button handlers
+function generateCoupon() {
+  try {
+    const result = issueCoupon();
+    const { coupon } = result;
+    if (result.issued) {
+      showActionFeedback(`Your ${coupon.discountPercent}% discount coupon: ${coupon.code} – valid until ${new Date(coupon.expiresAt).toLocaleDateString()}.`, "success");
+    } else if (coupon) {
+      showActionFeedback(`A coupon (${coupon.code}) was already issued on ${new Date(coupon.issuedAt).toLocaleDateString()}. Next one available from ${new Date(result.nextEligibleAt).toLocaleDateString()}.`, "info");
+    } else {
+      showActionFeedback(`A coupon was already issued in this browser. Next one available from ${new Date(result.nextEligibleAt).toLocaleDateString()}.`, "info");
+    }
+  } catch (error) {
+    showActionFeedback("Could not issue a coupon right now. Please try again.", "error");
+    throw error;
+  }
+}
+function contactSupport() {
   alert("Our support team will contact you within 24 hours.");
-};
-window.scheduleCall = function() {
+}
+function scheduleCall() {
   alert("Please check your email for scheduling options.");
-};
-window.shareReferral = function() {
-  const link = "https://example.com/ref/" + getUserId().substring(0,8);
-  alert(`Share this link with friends: ${link}\nYou both get 20% off!`);
-};
-window.writeTestimonial = function() {
-  window.open("https://example.com/testimonial-form", "_blank");
-};
-// ----------------------------------------------------------------------
+}
+async function shareReferral() {
+  const { rewardPercent } = getReferralSettings();
+  const link = await buildReferralLink();
+  const text = `Have a look at this shop – we both get ${rewardPercent}% off!`;
+  const referralCode = new URL(link).searchParams.get("ref");
+
+  // Native share sheet first, clipboard second, plain link last
+  if (navigator.share) {
+    try {
+      await navigator.share({ title: "Refer a friend", text, url: link });
+      logFollowUpEvent("referral_shared", { referral_code: referralCode, share_method: "share_sheet" });
+      showActionFeedback(`Thanks for sharing! You both get ${rewardPercent}% off.`, "success");
+      return;
+    } catch (error) {
+      if (error.name === "AbortError") {
+        logFollowUpEvent("referral_share_cancelled", { referral_code: referralCode });
+        return;
+      }
+      console.warn("Share sheet failed, falling back to clipboard:", error);
+    }
+  }
+
+  try {
+    await navigator.clipboard.writeText(link);
+    logFollowUpEvent("referral_shared", { referral_code: referralCode, share_method: "clipboard" });
+    showActionFeedback(`Referral link copied: ${link}. You both get ${rewardPercent}% off!`, "success");
+  } catch (error) {
+    logFollowUpEvent("referral_shared", { referral_code: referralCode, share_method: "displayed" });
+    showActionFeedback(`Share this link with friends: ${link}. You both get ${rewardPercent}% off!`, "info");
+  }
+}
+async function writeTestimonial() {
+  const { testimonialUrl } = getReferralSettings();
+  if (!testimonialUrl) {
+    showActionFeedback("The testimonial form is not configured yet.", "error");
+    return;
+  }
+  const url = new URL(testimonialUrl);
+  const referralCode = await getReferralCode();
+  url.searchParams.set("ref", referralCode);
+  logFollowUpEvent("testimonial_opened", { referral_code: referralCode });
+  window.open(url.toString(), "_blank");
+}
+
+registerAction("OFFER_COUPON", {
+  buttons: [
+    { id: "generate_coupon", label: "Generate 50% Off Coupon", icon: "fa-tag", className: "coupon-button", handler: generateCoupon },
+    { id: "contact_support", label: "Contact Support", icon: "fa-headset", color: "#718096", handler: contactSupport }
+  ]
+});
+registerAction("CONTACT_SUPPORT", {
+  buttons: [
+    { id: "contact_support", label: "Contact Support", icon: "fa-headset", color: "#dd6b20", handler: contactSupport },
+    { id: "schedule_call", label: "Schedule Call", icon: "fa-phone", color: "#4a5568", handler: scheduleCall }
+  ]
+});
+registerAction("REQUEST_FEEDBACK", {
+  buttons: [
+    { id: "complete_survey", label: "Complete Survey", icon: "fa-edit", className: "feedback-button", href: "https://forms.gle/g1KwfQmetxRGoHQy6" },
+    { id: "schedule_call", label: "Schedule Call", icon: "fa-phone", color: "#4a5568", handler: scheduleCall }
+  ]
+});
+registerAction("ASK_REFERRAL", {
+  buttons: [
+    { id: "share_referral", label: "Share Referral Link", icon: "fa-share-alt", className: "referral-button", handler: shareReferral },
+    {
+      id: "write_testimonial",
+      label: "Write Testimonial",
+      icon: "fa-star",
+      color: "#2b6cb0",
+      handler: writeTestimonial,
+      isAvailable: () => Boolean(getReferralSettings().testimonialUrl) // referral.testimonialUrl in business_rules.json
+    }
+  ]
+});
+
+/* ----------------------------------------------------------------------
+   LOG OUTBOX – events are stored in IndexedDB until the sheet accepts them
+---------------------------------------------------------------------- */
+const OUTBOX_DB_NAME = "sa_log_outbox";
+const OUTBOX_STORE = "events";
+const DEAD_LETTER_STORE = "dead_letters"; // events a receiver refused for good
+const OUTBOX_BATCH_SIZE = 10;
+const OUTBOX_BASE_DELAY_MS = 2000;
+const OUTBOX_MAX_DELAY_MS = 5 * 60 * 1000;
+
+let outboxDbPromise = null;
+let outboxMemory = new Map(); // used when IndexedDB is unavailable
+let deadLetterMemory = new Map();
+let outboxFlushing = false;
+let outboxFlushRequested = false;
+let outboxAttempts = 0;
+let outboxRetryTimer = null;
+let logProblem = "";             // why events cannot be queued at all, shown next to the pending count
+
+// Open (or create) the outbox database; resolves to null without IndexedDB
+function openOutboxDb() {
+  if (!outboxDbPromise) {
+    outboxDbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") return resolve(null);
+      const request = indexedDB.open(OUTBOX_DB_NAME, 2);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) db.createObjectStore(OUTBOX_STORE, { keyPath: "eventId" });
+        if (!db.objectStoreNames.contains(DEAD_LETTER_STORE)) db.createObjectStore(DEAD_LETTER_STORE, { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("IndexedDB unavailable, log outbox kept in memory:", request.error);
+        resolve(null);
+      };
+    });
+  }
+  return outboxDbPromise;
+}
+
+// Run one request against an outbox database store and resolve with its result
+async function outboxRequest(mode, makeRequest, storeName = OUTBOX_STORE) {
+  const db = await openOutboxDb();
+  if (!db) return makeRequest(null).result;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Store an event; the event id is the key, so re-queuing the same event is a no-op
+function outboxPut(event) {
+  return outboxRequest("readwrite", (store) => {
+    if (!store) return { result: outboxMemory.set(event.eventId, event) };
+    return store.put(event);
+  });
+}
+
+// Oldest-first batch of queued events
+async function outboxGetBatch(limit) {
+  const events = await outboxRequest("readonly", (store) => {
+    if (!store) return { result: Array.from(outboxMemory.values()) };
+    return store.getAll();
+  });
+  return events.sort((a, b) => a.queuedAt - b.queuedAt).slice(0, limit);
+}
+
+// Remove delivered events
+function outboxDelete(eventIds) {
+  return outboxRequest("readwrite", (store) => {
+    if (!store) return { result: eventIds.forEach((id) => outboxMemory.delete(id)) };
+    eventIds.forEach((id) => store.delete(id));
+    return { result: undefined };
+  });
+}
+
+// Number of events still waiting to be delivered
+function outboxCount() {
+  return outboxRequest("readonly", (store) => {
+    if (!store) return { result: outboxMemory.size };
+    return store.count();
+  });
+}
+
+// Set an event aside for one sink so it no longer holds up the outbox
+function deadLetterPut(event, sinkId, reason) {
+  const entry = { id: `${sinkId}:${event.eventId}`, eventId: event.eventId, sinkId, reason, payload: event.payload, failedAt: Date.now() };
+  return outboxRequest("readwrite", (store) => {
+    if (!store) return { result: deadLetterMemory.set(entry.id, entry) };
+    return store.put(entry);
+  }, DEAD_LETTER_STORE);
+}
+
+// Number of events set aside as undeliverable
+function deadLetterCount() {
+  return outboxRequest("readonly", (store) => {
+    if (!store) return { result: deadLetterMemory.size };
+    return store.count();
+  }, DEAD_LETTER_STORE);
+}
+
+// Drop every undeliverable event
+function deadLetterClear() {
+  return outboxRequest("readwrite", (store) => {
+    if (!store) return { result: deadLetterMemory.clear() };
+    return store.clear();
+  }, DEAD_LETTER_STORE);
+}
+
+// Show "N pending logs" while the outbox is not empty
+async function updatePendingIndicator() {
+  if (!pendingLogsElement) return;
+  const count = await outboxCount().catch(() => 0);
+  const dead = await deadLetterCount().catch(() => 0);
+  const parts = [];
+  if (count > 0) parts.push(`${count} pending log${count === 1 ? "" : "s"}`);
+  if (dead > 0) parts.push(`${dead} log${dead === 1 ? "" : "s"} refused by a receiver`);
+  if (logProblem) parts.push(`Logging is not working: ${logProblem}`);
+  pendingLogsElement.textContent = parts.join(" · ");
+  pendingLogsElement.style.display = parts.length > 0 ? "block" : "none";
+}
+
+// Deliver queued events in batches; on failure retry with exponential backoff
+async function flushOutbox() {
+  if (outboxFlushing) {
+    // Picked up again once the running flush finishes
+    outboxFlushRequested = true;
+    return;
+  }
+  if (typeof navigator !== "undefined" && navigator.onLine === false) return;
+  if (getConsent() !== "granted") return;
+  outboxFlushing = true;
+  outboxFlushRequested = false;
+  clearTimeout(outboxRetryTimer);
+  outboxRetryTimer = null;
+
+  try {
+    await (logSinksReady || loadLogSinks());
+    let batch = await outboxGetBatch(OUTBOX_BATCH_SIZE);
+    while (batch.length > 0) {
+      const delivered = await deliverToSinks(batch);
+      console.log(`Logged ${delivered.length} event(s) successfully`);
+      outboxAttempts = 0;
+      batch = await outboxGetBatch(OUTBOX_BATCH_SIZE);
+    }
+  } catch (err) {
+    outboxAttempts++;
+    // 2s, 4s, 8s, ... capped, with jitter so many tabs do not retry in lockstep
+    const delay = Math.min(OUTBOX_MAX_DELAY_MS, OUTBOX_BASE_DELAY_MS * 2 ** (outboxAttempts - 1));
+    const jittered = Math.round(delay * (0.5 + Math.random() / 2));
+    console.error(`Log delivery failed, retrying in ${Math.round(jittered / 1000)}s:`, err);
+    outboxRetryTimer = setTimeout(flushOutbox, jittered);
+  } finally {
+    outboxFlushing = false;
+    updatePendingIndicator();
+    if (outboxFlushRequested && !outboxRetryTimer) flushOutbox();
+  }
+}
 
 /**
- * Send one analysis event as a CORS simple request (no preflight).
- * Now includes 'action_taken' field.
+ * Queue one analysis event for delivery to the configured log sinks.
+ * The event survives reloads and network failures; delivery happens in the
+ * background. Now includes 'action_taken' field. Nothing is queued without
+ * consent, the review is reduced to the privacy level, and the event is
+ * validated and signed (see LOG SCHEMA) before queuing.
  */
 async function sendLogSimple(payload) {
-  const form = new URLSearchParams();
-  form.set("ts", String(payload.ts || Date.now()));
-  form.set("review", String(payload.review || "").substring(0, 5000));
-  form.set("sentiment", String(payload.sentiment || ""));
-  form.set("action_taken", String(payload.action_taken || ""));  // NEW COLUMN
-  form.set("meta", JSON.stringify(payload.meta || {}));
+  if (getConsent() !== "granted") return { success: false, skipped: "no_consent" };
+  await (logSinksReady || loadLogSinks()); // the signing key comes with the sink config
 
+  const eventId = payload.event_id || generateId();
+  let event;
   try {
-    const res = await fetch(GAS_WEB_APP_URL, {
-      method: "POST",
-      body: form
-    });
-    if (!res.ok) throw new Error(`HTTP ${res.status}: ${await res.text()}`);
-    console.log("Logged to Google Sheets successfully");
-    return { success: true };
+    event = { eventId, payload: await prepareLogEvent(await applyPrivacy(payload), eventId), queuedAt: Date.now() };
+  } catch (err) {
+    console.error("Log event rejected before sending:", err.message);
+    logProblem = err.message;
+    updatePendingIndicator();
+    return { success: false, error: err.message };
+  }
+  logProblem = "";
+
+  try {
+    await outboxPut(event);
   } catch (err) {
-    console.error("Google Sheets logging failed:", err);
+    console.error("Could not queue log event:", err);
     return { success: false, error: String(err) };
   }
+  updatePendingIndicator();
+  flushOutbox();
+  return { success: true, queued: true, eventId: event.eventId };
 }
 
 // Initialize the app
 document.addEventListener("DOMContentLoaded", function () {
   loadReviews();
+  loadBusinessRules();
+  loadLogSinks();
+  initPrivacyControls();
+  initLogSinkControls();
+  initActionRegistry();
   analyzeBtn.addEventListener("click", analyzeRandomReview);
-  initSentimentModel();
+  if (analyzeCustomBtn) analyzeCustomBtn.addEventListener("click", analyzeCustomReview);
+  if (explainBtn) explainBtn.addEventListener("click", explainCurrentReview);
+  if (evaluateBtn) evaluateBtn.addEventListener("click", evaluateDataset);
+  if (cancelEvaluationBtn) cancelEvaluationBtn.addEventListener("click", () => evaluationController?.abort());
+  initDatasetBrowser();
+  initFileImport();
+  historyExportButtons.forEach((button) => {
+    button.addEventListener("click", () => exportHistory(button.dataset.exportFormat));
+  });
+  if (clearHistoryBtn) clearHistoryBtn.addEventListener("click", clearHistory);
+  renderHistory();
+  if (dashboardSourceSelect) dashboardSourceSelect.addEventListener("change", renderDashboard);
+  initAggregateViews();
+  renderDashboard();
+  initThresholdSimulator();
+  initCouponView();
+  initReviewQueue();
+  renderSimulator();
+  initProviderControls();
+  initAggregationControls();
+  if (clearCacheBtn) clearCacheBtn.addEventListener("click", () => {
+    clearPredictionCache().catch((error) => showError("Failed to clear the prediction cache: " + error.message));
+  });
+  renderPredictionCacheStats();
+  selectProvider(localStorage.getItem(LS_KEY_PROVIDER) || "local");
+  trackReferralVisit().catch((err) => console.error("Referral tracking failed:", err));
+
+  // Deliver anything left over from a previous session, and retry as soon as we are back online
+  flushOutbox();
+  window.addEventListener("online", () => {
+    outboxAttempts = 0;
+    flushOutbox();
+  });
 });
 
-// Initialize transformers.js text-classification pipeline
+/* ----------------------------------------------------------------------
+   MODEL WORKER – model loading and inference run in sentiment-worker.js
+   so the page stays responsive; falls back to the main thread when
+   module workers are unavailable.
+---------------------------------------------------------------------- */
+const SENTIMENT_WORKER_URL = "sentiment-worker.js";
+
+let sentimentWorker = null;
+let workerBroken = typeof Worker === "undefined";
+let workerRequestId = 0;
+const workerRequests = new Map(); // request id (loads included) -> { resolve, reject, onProgress }
+let modelDownloads = {};          // file -> { loaded, total }
+
+// Error used for cancelled batches so callers can tell it apart from failures
+function createAbortError() {
+  const error = new Error("Cancelled");
+  error.name = "AbortError";
+  return error;
+}
+
+// Start the worker once; returns null when workers cannot be used
+function getSentimentWorker() {
+  if (workerBroken) return null;
+  if (sentimentWorker) return sentimentWorker;
+
+  try {
+    sentimentWorker = new Worker(SENTIMENT_WORKER_URL, { type: "module" });
+  } catch (error) {
+    console.warn("Module workers unavailable, running the model on the main thread:", error);
+    workerBroken = true;
+    return null;
+  }
+  sentimentWorker.addEventListener("message", handleWorkerMessage);
+  sentimentWorker.addEventListener("error", (event) => {
+    // The worker script itself failed (e.g. blocked import): give up on it
+    console.error("Sentiment worker failed:", event.message || event);
+    event.preventDefault?.();
+    workerBroken = true;
+    sentimentWorker.terminate();
+    sentimentWorker = null;
+    const failure = new Error("Sentiment worker failed to start.");
+    failure.workerFailed = true;
+    workerRequests.forEach((request) => request.reject(failure));
+    workerRequests.clear();
+  });
+  return sentimentWorker;
+}
+
+// Route worker replies to the promise that is waiting for them
+function handleWorkerMessage(event) {
+  const message = event.data || {};
+  const request = workerRequests.get(message.id);
+
+  switch (message.type) {
+    case "progress":
+      updateModelProgress(message.data);
+      break;
+    case "ready":
+    case "result":
+      request?.resolve(message.output);
+      workerRequests.delete(message.id);
+      break;
+    case "batch-progress":
+      request?.onProgress?.(message.done, message.total);
+      break;
+    case "batch-result":
+      request?.resolve(message.outputs);
+      workerRequests.delete(message.id);
+      break;
+    case "cancelled":
+      request?.reject(createAbortError());
+      workerRequests.delete(message.id);
+      break;
+    case "error":
+      request?.reject(new Error(message.message));
+      workerRequests.delete(message.id);
+      break;
+  }
+}
+
+// Ask the worker to load a model and wait for its "ready"; each load has its
+// own request id, so loading the same model twice settles both callers
+// (role "language" loads it next to the main model instead of replacing it)
+function loadModelInWorker(modelId, role) {
+  return callWorker("load", { modelId, role });
+}
+
+/**
+ * Send a predict or batch request to the worker.
+ * @param {string} type - "predict" or "batch"
+ * @param {object} payload - { text } or { texts }, plus pipeline options
+ * @param {object} [hooks] - { onProgress(done, total), signal } for batches
+ */
+function callWorker(type, payload, { onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(createAbortError());
+    const id = ++workerRequestId;
+    workerRequests.set(id, { resolve, reject, onProgress });
+    signal?.addEventListener("abort", () => sentimentWorker?.postMessage({ type: "cancel", id }), { once: true });
+    getSentimentWorker().postMessage({ type, id, ...payload });
+  });
+}
+
+// Classify texts one at a time with any classify function, honouring cancellation
+async function classifySequentially(classify, texts, { onProgress, signal } = {}) {
+  const outputs = [];
+  for (let i = 0; i < texts.length; i++) {
+    if (signal?.aborted) throw createAbortError();
+    outputs.push(await classify(texts[i]));
+    onProgress?.(i + 1, texts.length);
+  }
+  return outputs;
+}
+
+// Show real download progress from the Transformers.js progress_callback
+function updateModelProgress(data) {
+  if (!data || !data.file) return;
+  if (data.status === "initiate" || data.status === "download") {
+    modelDownloads[data.file] = modelDownloads[data.file] || { loaded: 0, total: 0 };
+  } else if (data.status === "progress") {
+    modelDownloads[data.file] = { loaded: data.loaded || 0, total: data.total || 0 };
+  } else if (data.status === "done" && modelDownloads[data.file]) {
+    modelDownloads[data.file].loaded = modelDownloads[data.file].total;
+  } else {
+    return;
+  }
+
+  const files = Object.values(modelDownloads);
+  const loaded = files.reduce((sum, file) => sum + file.loaded, 0);
+  const total = files.reduce((sum, file) => sum + file.total, 0);
+  const percent = total ? Math.round((loaded / total) * 100) : 0;
+  const mb = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+  updateStatus(`Downloading ${activeModelId}: ${percent}% (${mb(loaded)} / ${mb(total)} MB)`, "info");
+  if (modelProgressElement) {
+    modelProgressElement.style.display = "block";
+    modelProgressElement.value = percent;
+  }
+}
+
+// Hide the download bar and forget per-file progress
+function resetModelProgress() {
+  modelDownloads = {};
+  if (modelProgressElement) {
+    modelProgressElement.style.display = "none";
+    modelProgressElement.value = 0;
+  }
+}
+
+// Initialize the text-classification pipeline, in the worker when possible
 async function initSentimentModel() {
+  const modelId = activeModelId;
   try {
-    updateStatus("Loading sentiment model...", "info");
-    sentimentPipeline = await pipeline(
-      "text-classification",
-      "Xenova/distilbert-base-uncased-finetuned-sst-2-english"
-    );
+    updateStatus(`Loading sentiment model ${modelId}...`, "info");
+    resetModelProgress();
+
+    let classify;
+    if (getSentimentWorker()) {
+      try {
+        await loadModelInWorker(modelId);
+        // Name the model so the worker refuses rather than answers with another one
+        classify = (text, options) => callWorker("predict", { text, options, modelId });
+      } catch (error) {
+        if (!error.workerFailed) throw error;
+        classify = null;
+      }
+    }
+    if (!classify) {
+      classify = await pipeline("text-classification", modelId, { progress_callback: updateModelProgress });
+    }
+
+    // Another model may have been selected while this one was loading
+    if (modelId !== activeModelId) return;
+    sentimentPipeline = classify;
+    resetModelProgress();
     updateStatus("Sentiment model ready", "success");
   } catch (error) {
+    if (modelId !== activeModelId) return;
     console.error("Failed to load sentiment model:", error);
+    resetModelProgress();
     showError("Failed to load sentiment model. Please check your network connection and try again.");
     updateStatus("Model load failed", "error");
   }
@@ -239,11 +1077,10 @@ function loadReviews() {
         header: true,
         delimiter: "\t",
         complete: (results) => {
-          reviews = results.data
-            .map((row) => row.text)
-            .filter((text) => typeof text === "string" && text.trim() !== "");
-          console.log("Loaded", reviews.length, "reviews");
-          updateStatus(`Loaded ${reviews.length} reviews`, "success");
+          const rows = results.data
+            .filter((row) => typeof row.text === "string" && row.text.trim() !== "")
+            .map((row, index) => normalizeReviewRow(row, DEFAULT_COLUMN_MAPPING, index));
+          setReviews(rows, "reviews_test.tsv");
         },
         error: (error) => {
           console.error("TSV parse error:", error);
@@ -266,21 +1103,61 @@ async function analyzeRandomReview() {
     return;
   }
 
-  if (!sentimentPipeline) {
+  const selectedRow = reviews[Math.floor(Math.random() * reviews.length)];
+  await analyzeReview(selectedRow, "dataset");
+}
+
+// Analyze the text a support rep typed or pasted
+async function analyzeCustomReview() {
+  hideError();
+
+  const text = customReviewInput ? customReviewInput.value.trim() : "";
+  if (!text) {
+    showError("Please enter a review to analyze.");
+    return;
+  }
+
+  await analyzeReview({ text }, "manual");
+}
+
+// Enable or disable every button that starts an analysis
+function setAnalysisBusy(busy) {
+  analyzeBtn.disabled = busy;
+  if (analyzeCustomBtn) analyzeCustomBtn.disabled = busy;
+}
+
+/**
+ * Run the full pipeline for one review: classify, display, decide, log.
+ * @param {object} row - Review row ({ text, productId?, helpfulY?, helpfulN? })
+ * @param {string} source - "dataset" or "manual", recorded in the log
+ */
+async function analyzeReview(row, source) {
+  // Browser rows stay clickable while the buttons are disabled; a second
+  // analysis would overwrite the result the action buttons act on
+  if (analysisRunning || evaluationController) return;
+  hideError();
+
+  if (!getActiveProvider().isReady()) {
     showError("Sentiment model is not ready yet. Please wait a moment.");
     return;
   }
 
-  const selectedReview = reviews[Math.floor(Math.random() * reviews.length)];
+  const selectedReview = row.text;
 
   // Display the review
+  clearExplanation();
   reviewText.textContent = selectedReview;
 
   // Show loading state
+  analysisRunning = true;
   loadingElement.style.display = "block";
-  analyzeBtn.disabled = true;
+  setAnalysisBusy(true);
   sentimentResult.innerHTML = "";
   sentimentResult.className = "sentiment-result";
+  if (labelDistribution) labelDistribution.innerHTML = "";
+  displaySentenceBreakdown(null);
+  displayAspectTags(null);
+  displayReviewLanguage(null);
 
   // Reset action UI
   if (actionResult) {
@@ -294,90 +1171,3354 @@ async function analyzeRandomReview() {
   try {
     // Analyze sentiment
     const result = await analyzeSentiment(selectedReview);
-    const { sentiment, label, score, rawLabel } = extractSentimentData(result); // added rawLabel
+    const { sentiment, label, score, labels, distribution } = extractSentimentData(result);
 
     // Display sentiment result
-    displaySentimentResult(sentiment, label, score);
+    displaySentimentResult(sentiment, label, score, labels);
+    displaySentenceBreakdown(result.segments);
+    displayReviewLanguage(result.language, result.modelId);
 
     // --- BUSINESS LOGIC INTEGRATION ---
-    const action = determineBusinessAction(score, rawLabel);
-    displayBusinessAction(action);
+    const aspects = detectAspects(selectedReview, result.segments, label);
+    displayAspectTags(aspects);
+    const action = determineBusinessAction(score, label, {
+      ...row,
+      distribution,
+      aspects,
+      language: result.language.language
+    });
+    const eventId = generateId();
+    currentAnalysis = { row, source, sentiment, label, score, action, eventId };
+    const logMeta = {
+      language: result.language.language,
+      language_confidence: Number(result.language.confidence.toFixed(2))
+    };
+    if (result.modelId !== getActiveProvider().modelId) logMeta.language_model = result.modelId;
+    if (result.segments) {
+      logMeta.segment_count = result.segments.length;
+      logMeta.aggregation = aggregationStrategy;
+    }
+    if (aspects.length > 0) {
+      const groups = groupAspects(aspects);
+      logMeta.aspects_praised = groups.praised;
+      logMeta.aspects_criticised = groups.criticised;
+      logMeta.aspects_mentioned = groups.mentioned;
+    }
+
+    // Uncertain or costly decisions wait for a reviewer instead of acting straight away
+    const reviewReason = getReviewReason(score, action);
+    if (reviewReason) {
+      enqueueForReview(currentAnalysis, reviewReason);
+      displayPendingReview(action, reviewReason);
+      logMeta.review_status = "queued";
+      logMeta.review_reason = reviewReason;
+    } else {
+      displayBusinessAction(action);
+    }
+
+    // Keep a local record, then log to Google Sheets with action_taken
+    currentAnalysis.historyId = recordAnalysis(row, source, sentiment, label, score, action).id;
+    logAnalysis(selectedReview, sentiment, label, score, action, source, eventId, logMeta);
+    if (explainBtn) explainBtn.disabled = false;
+    // ----------------------------------
+
+  } catch (error) {
+    console.error("Error:", error);
+    showError(error.message || "Failed to analyze sentiment.");
+  } finally {
+    analysisRunning = false;
+    loadingElement.style.display = "none";
+    setAnalysisBusy(false);
+  }
+}
+
+/* ----------------------------------------------------------------------
+   DATASET EVALUATION – scores the model against the `sentiment` column
+---------------------------------------------------------------------- */
+/**
+ * Map a ground-truth cell from the TSV to a sentiment bucket.
+ * Accepts 1/-1 (as shipped in reviews_test.tsv) as well as 1/0 and text labels.
+ * @returns {string|null} "positive", "negative" or null if unknown
+ */
+function parseGroundTruth(value) {
+  const raw = String(value ?? "").trim().toLowerCase();
+  if (raw === "1" || raw === "positive" || raw === "pos") return "positive";
+  if (raw === "0" || raw === "-1" || raw === "negative" || raw === "neg") return "negative";
+  return null;
+}
+
+// Pick `size` random rows without replacement (all rows if size is empty or too large)
+function sampleRows(rows, size) {
+  if (!size || size >= rows.length) return rows.slice();
+  const pool = rows.slice();
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, size);
+}
+
+// Run the model over the whole dataset (or a sample) and report metrics
+async function evaluateDataset() {
+  hideError();
+  if (evaluationController || analysisRunning) return;
+
+  const labelled = reviews.filter((row) => row.groundTruth !== null);
+  if (labelled.length === 0) {
+    showError("No labelled reviews available for evaluation.");
+    return;
+  }
+  if (!getActiveProvider().isReady()) {
+    showError("Sentiment model is not ready yet. Please wait a moment.");
+    return;
+  }
+
+  const requested = parseInt(sampleSizeInput?.value, 10);
+  const rows = sampleRows(labelled, Number.isFinite(requested) && requested > 0 ? requested : 0);
+
+  evaluationController = new AbortController();
+  evaluateBtn.disabled = true;
+  if (cancelEvaluationBtn) cancelEvaluationBtn.style.display = "inline-block";
+  setAnalysisBusy(true);
+  if (evaluationResults) evaluationResults.innerHTML = "";
+
+  try {
+    const outputs = await analyzeSentimentBatch(rows.map((row) => row.text), {
+      signal: evaluationController.signal,
+      onProgress: (done, total) => {
+        if (evaluationProgress) evaluationProgress.textContent = `Evaluating ${done} / ${total} reviews...`;
+      }
+    });
+    const predictions = rows.map((row, i) => {
+      const { sentiment, label, score, distribution } = extractSentimentData(outputs[i]);
+      return { row, text: row.text, actual: row.groundTruth, predicted: sentiment, label, score, distribution };
+    });
+    displayEvaluationResults(computeEvaluationMetrics(predictions));
+
+    // Optionally feed the run into the history so the dashboard can answer "how many coupons?"
+    if (evalRecordHistoryInput?.checked) {
+      addHistoryEntries(predictions.map((p) => buildHistoryEntry(
+        p.row, "evaluation", p.predicted, p.label, p.score,
+        determineBusinessAction(p.score, p.label, {
+          ...p.row,
+          distribution: p.distribution,
+          aspects: detectAspects(p.text, null, p.label)
+        })
+      )));
+    }
+    updateStatus(`Evaluated ${predictions.length} reviews`, "success");
+  } catch (error) {
+    if (error.name === "AbortError") {
+      updateStatus("Evaluation cancelled", "info");
+    } else {
+      console.error("Evaluation error:", error);
+      showError("Evaluation failed: " + (error.message || error));
+    }
+  } finally {
+    if (evaluationProgress) evaluationProgress.textContent = "";
+    evaluationController = null;
+    evaluateBtn.disabled = false;
+    if (cancelEvaluationBtn) cancelEvaluationBtn.style.display = "none";
+    setAnalysisBusy(false);
+  }
+}
+
+/**
+ * Compute accuracy, per-class precision/recall/F1 and a confusion matrix.
+ * A "neutral" prediction is never correct, since the ground truth is binary.
+ * @param {Array<{actual: string, predicted: string}>} predictions
+ */
+function computeEvaluationMetrics(predictions) {
+  const classes = ["positive", "negative"];
+  const predictedClasses = ["positive", "negative", "neutral"];
+
+  // confusion[actual][predicted] = count
+  const confusion = {};
+  classes.forEach((actual) => {
+    confusion[actual] = {};
+    predictedClasses.forEach((predicted) => { confusion[actual][predicted] = 0; });
+  });
+  predictions.forEach((p) => { confusion[p.actual][p.predicted] += 1; });
+
+  const total = predictions.length;
+  const correct = classes.reduce((sum, c) => sum + confusion[c][c], 0);
+
+  const perClass = {};
+  classes.forEach((c) => {
+    const tp = confusion[c][c];
+    const predictedAsC = classes.reduce((sum, actual) => sum + confusion[actual][c], 0);
+    const actualC = predictedClasses.reduce((sum, predicted) => sum + confusion[c][predicted], 0);
+    const precision = predictedAsC ? tp / predictedAsC : 0;
+    const recall = actualC ? tp / actualC : 0;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+    perClass[c] = { precision, recall, f1, support: actualC };
+  });
+
+  return {
+    total,
+    accuracy: total ? correct / total : 0,
+    perClass,
+    confusion,
+    misclassified: predictions.filter((p) => p.actual !== p.predicted)
+  };
+}
+
+// Render evaluation metrics, confusion matrix and misclassified reviews
+function displayEvaluationResults(metrics) {
+  if (!evaluationResults) return;
+  const pct = (value) => `${(value * 100).toFixed(1)}%`;
+
+  const classRows = Object.entries(metrics.perClass).map(([c, m]) => `
+      <tr><td>${c}</td><td>${pct(m.precision)}</td><td>${pct(m.recall)}</td><td>${pct(m.f1)}</td><td>${m.support}</td></tr>`).join("");
+
+  const matrixRows = Object.entries(metrics.confusion).map(([actual, counts]) => `
+      <tr><th>${actual}</th>${Object.values(counts).map((n) => `<td>${n}</td>`).join("")}</tr>`).join("");
+
+  const misclassifiedItems = metrics.misclassified.map((p) => `
+      <li>
+        <span class="eval-tag ${p.actual}">expected ${p.actual}</span>
+        <span class="eval-tag ${p.predicted}">got ${p.label} (${pct(p.score)})</span>
+        <p>${escapeHtml(p.text)}</p>
+      </li>`).join("");
+
+  evaluationResults.innerHTML = `
+    <p class="eval-summary">Accuracy: <strong>${pct(metrics.accuracy)}</strong> on ${metrics.total} reviews</p>
+    <table class="eval-table">
+      <thead><tr><th>Class</th><th>Precision</th><th>Recall</th><th>F1</th><th>Support</th></tr></thead>
+      <tbody>${classRows}</tbody>
+    </table>
+    <h4>Confusion matrix (rows: actual, columns: predicted)</h4>
+    <table class="eval-table">
+      <thead><tr><th></th><th>positive</th><th>negative</th><th>neutral</th></tr></thead>
+      <tbody>${matrixRows}</tbody>
+    </table>
+    <h4>Misclassified reviews (${metrics.misclassified.length})</h4>
+    <ul class="eval-misclassified">${misclassifiedItems}</ul>
+  `;
+}
+
+// Escape text before inserting it into an HTML template
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/* ----------------------------------------------------------------------
+   DATASET BROWSER – search, filter, sort and page through the parsed TSV
+---------------------------------------------------------------------- */
+const BROWSER_PAGE_SIZE = 10;
+
+const browserState = {
+  query: "",
+  productId: "",
+  label: "",
+  sort: "default",
+  page: 1
+};
+
+// Wire the browser controls; the table itself is rendered once reviews load
+function initDatasetBrowser() {
+  if (!browserTableBody) return;
+
+  browserSearchInput?.addEventListener("input", () => {
+    browserState.query = browserSearchInput.value.trim().toLowerCase();
+    browserState.page = 1;
+    renderDatasetBrowser();
+  });
+  browserProductSelect?.addEventListener("change", () => {
+    browserState.productId = browserProductSelect.value;
+    browserState.page = 1;
+    renderDatasetBrowser();
+  });
+  browserLabelSelect?.addEventListener("change", () => {
+    browserState.label = browserLabelSelect.value;
+    browserState.page = 1;
+    renderDatasetBrowser();
+  });
+  browserSortSelect?.addEventListener("change", () => {
+    browserState.sort = browserSortSelect.value;
+    renderDatasetBrowser();
+  });
+  browserPrevBtn?.addEventListener("click", () => {
+    browserState.page--;
+    renderDatasetBrowser();
+  });
+  browserNextBtn?.addEventListener("click", () => {
+    browserState.page++;
+    renderDatasetBrowser();
+  });
+
+  // One delegated listener: clicking a row analyzes that review
+  browserTableBody.addEventListener("click", (event) => {
+    const rowEl = event.target.closest("tr[data-index]");
+    if (!rowEl) return;
+    const row = reviews[Number(rowEl.dataset.index)];
+    if (!row) return;
+    reviewText.scrollIntoView({ behavior: "smooth", block: "center" });
+    analyzeReview(row, "dataset");
+  });
+}
+
+// Refill the product filter from the loaded reviews
+function populateBrowserProducts() {
+  if (!browserProductSelect) return;
+  const counts = {};
+  reviews.forEach((row) => {
+    if (row.productId) counts[row.productId] = (counts[row.productId] || 0) + 1;
+  });
+  browserProductSelect.innerHTML = '<option value="">All products</option>';
+  Object.keys(counts).sort().forEach((productId) => {
+    const option = document.createElement("option");
+    option.value = productId;
+    option.textContent = `${productId} (${counts[productId]})`;
+    browserProductSelect.appendChild(option);
+  });
+}
+
+// Share of helpful votes; reviews without votes sort last
+function helpfulRatio(row) {
+  const votes = row.helpfulY + row.helpfulN;
+  return votes ? row.helpfulY / votes : -1;
+}
+
+// Apply search, filters and sort to the loaded reviews
+function getFilteredReviews() {
+  const { query, productId, label, sort } = browserState;
+  const rows = reviews.filter((row) => {
+    if (productId && row.productId !== productId) return false;
+    if (label && row.groundTruth !== label) return false;
+    if (query) {
+      const haystack = `${row.text} ${row.summary} ${row.productId} ${row.userId}`.toLowerCase();
+      if (!haystack.includes(query)) return false;
+    }
+    return true;
+  });
+
+  if (sort === "helpful-votes") {
+    rows.sort((a, b) => b.helpfulY - a.helpfulY || helpfulRatio(b) - helpfulRatio(a));
+  } else if (sort === "helpful-ratio") {
+    rows.sort((a, b) => helpfulRatio(b) - helpfulRatio(a) || b.helpfulY - a.helpfulY);
+  }
+  return rows;
+}
+
+// Render the current page of the dataset table
+function renderDatasetBrowser() {
+  if (!browserTableBody) return;
+  const rows = getFilteredReviews();
+  const pageCount = Math.max(1, Math.ceil(rows.length / BROWSER_PAGE_SIZE));
+  browserState.page = Math.min(Math.max(1, browserState.page), pageCount);
+
+  const start = (browserState.page - 1) * BROWSER_PAGE_SIZE;
+  const pageRows = rows.slice(start, start + BROWSER_PAGE_SIZE);
+
+  browserTableBody.innerHTML = pageRows.map((row) => `
+    <tr data-index="${reviews.indexOf(row)}" title="Click to analyze this review">
+      <td>${escapeHtml(row.productId)}</td>
+      <td>${escapeHtml(row.summary)}</td>
+      <td class="browser-text">${escapeHtml(row.text.length > 160 ? row.text.substring(0, 160) + "…" : row.text)}</td>
+      <td>${row.helpfulY} / ${row.helpfulY + row.helpfulN}</td>
+      <td><span class="eval-tag ${row.groundTruth || "neutral"}">${row.groundTruth || "unknown"}</span></td>
+    </tr>`).join("") || '<tr><td colspan="5" class="browser-empty">No reviews match the current filters.</td></tr>';
+
+  if (browserPageInfo) {
+    browserPageInfo.textContent = `Page ${browserState.page} of ${pageCount} (${rows.length} reviews)`;
+  }
+  if (browserPrevBtn) browserPrevBtn.disabled = browserState.page <= 1;
+  if (browserNextBtn) browserNextBtn.disabled = browserState.page >= pageCount;
+}
+
+/* ----------------------------------------------------------------------
+   FILE IMPORT – CSV / TSV / JSONL files with a column-mapping step
+---------------------------------------------------------------------- */
+// Fields the app understands, with column names we recognise automatically
+const REVIEW_FIELDS = [
+  { key: "text", label: "Review text", required: true, aliases: ["text", "review", "review_text", "body", "content", "comment", "message"] },
+  { key: "id", label: "Review id", aliases: ["id", "review_id", "reviewid"] },
+  { key: "productId", label: "Product id", aliases: ["productid", "product_id", "product", "asin", "sku", "item_id"] },
+  { key: "userId", label: "User id", aliases: ["userid", "user_id", "user", "customer_id", "reviewer_id", "reviewerid"] },
+  { key: "summary", label: "Summary / title", aliases: ["summary", "title", "headline", "subject"] },
+  { key: "sentiment", label: "Ground-truth label", aliases: ["sentiment", "label", "polarity", "target", "class"] },
+  { key: "helpfulY", label: "Helpful votes", aliases: ["helpfuly", "helpful_yes", "helpful", "upvotes", "helpful_votes"] },
+  { key: "helpfulN", label: "Unhelpful votes", aliases: ["helpfuln", "helpful_no", "unhelpful", "downvotes"] }
+];
+
+// Column names of the bundled TSV, used when loading reviews_test.tsv
+const DEFAULT_COLUMN_MAPPING = {
+  text: "text",
+  productId: "productId",
+  userId: "userId",
+  summary: "summary",
+  sentiment: "sentiment",
+  helpfulY: "helpfulY",
+  helpfulN: "helpfulN"
+};
+
+const DELIMITER_NAMES = { "\t": "tab", ",": "comma", ";": "semicolon", "|": "pipe" };
+
+// Parsed file waiting for the user to confirm the column mapping
+let pendingImport = null;
+
+/**
+ * Turn one parsed row into the app's review shape using a column mapping.
+ * @param {object} raw - Parsed row keyed by source column name
+ * @param {object} mapping - { fieldKey: sourceColumn }
+ * @param {number} index - Row position, used as a fallback id
+ */
+function normalizeReviewRow(raw, mapping, index) {
+  const pick = (key) => (mapping[key] ? raw[mapping[key]] : undefined);
+  const text = pick("text");
+  return {
+    id: String(pick("id") ?? index + 1),
+    text: typeof text === "string" ? text : String(text ?? ""),
+    summary: String(pick("summary") ?? ""),
+    productId: String(pick("productId") ?? ""),
+    userId: String(pick("userId") ?? ""),
+    helpfulY: Number(pick("helpfulY")) || 0,
+    helpfulN: Number(pick("helpfulN")) || 0,
+    groundTruth: parseGroundTruth(pick("sentiment"))
+  };
+}
+
+// Replace the working dataset and refresh every view that depends on it
+function setReviews(rows, sourceName) {
+  reviews = rows;
+  console.log("Loaded", reviews.length, "reviews from", sourceName);
+  updateStatus(`Loaded ${reviews.length} reviews from ${sourceName}`, "success");
+  browserState.page = 1;
+  populateBrowserProducts();
+  renderDatasetBrowser();
+}
+
+// Wire the file picker and the drop zone
+function initFileImport() {
+  if (!fileDropZone || !fileInput) return;
+
+  fileInput.addEventListener("change", () => {
+    if (fileInput.files[0]) importReviewFile(fileInput.files[0]);
+    fileInput.value = "";
+  });
+  fileDropZone.addEventListener("click", () => fileInput.click());
+  fileDropZone.addEventListener("dragover", (event) => {
+    event.preventDefault();
+    fileDropZone.classList.add("dragging");
+  });
+  fileDropZone.addEventListener("dragleave", () => fileDropZone.classList.remove("dragging"));
+  fileDropZone.addEventListener("drop", (event) => {
+    event.preventDefault();
+    fileDropZone.classList.remove("dragging");
+    const file = event.dataTransfer?.files?.[0];
+    if (file) importReviewFile(file);
+  });
+  applyMappingBtn?.addEventListener("click", applyColumnMapping);
+}
+
+// Read a dropped or picked file and show the mapping step
+async function importReviewFile(file) {
+  hideError();
+  try {
+    const content = await file.text();
+    const parsed = parseReviewFile(file.name, content);
+    if (parsed.columns.length === 0) {
+      throw new Error("No columns found in the file.");
+    }
+    pendingImport = { fileName: file.name, ...parsed };
+    displayColumnMapping();
+  } catch (error) {
+    console.error("File import error:", error);
+    showError(`Failed to read ${file.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse CSV, TSV or JSONL text into rows keyed by column name.
+ * Bad rows are collected in `errors` instead of aborting the whole file.
+ * @returns {object} { format, rows, columns, errors }
+ */
+function parseReviewFile(fileName, content) {
+  const trimmed = content.trimStart();
+  const isJsonLines = /\.(jsonl|ndjson)$/i.test(fileName) || (trimmed.startsWith("{") && !/\.json$/i.test(fileName));
+
+  if (/\.json$/i.test(fileName) && trimmed.startsWith("[")) {
+    const data = JSON.parse(content);
+    const rows = data.filter((item) => item && typeof item === "object");
+    const errors = data.length === rows.length ? [] : [{ row: null, message: `${data.length - rows.length} entries are not objects` }];
+    return { format: "JSON", rows, columns: collectColumns(rows), errors };
+  }
+
+  if (isJsonLines) {
+    const rows = [];
+    const errors = [];
+    content.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        const item = JSON.parse(line);
+        if (!item || typeof item !== "object" || Array.isArray(item)) throw new Error("not a JSON object");
+        rows.push(item);
+      } catch (error) {
+        errors.push({ row: index + 1, message: error.message });
+      }
+    });
+    return { format: "JSONL", rows, columns: collectColumns(rows), errors };
+  }
+
+  // Papa Parse guesses the delimiter when none is given
+  const results = Papa.parse(content, { header: true, skipEmptyLines: true });
+  const delimiter = results.meta.delimiter;
+  return {
+    format: `${DELIMITER_NAMES[delimiter] || JSON.stringify(delimiter)}-separated`,
+    rows: results.data,
+    columns: (results.meta.fields || []).filter((field) => field !== ""),
+    // Papa numbers data rows from 0; report them from 1 like the other formats
+    errors: results.errors.map((error) => ({
+      row: typeof error.row === "number" ? error.row + 1 : null,
+      message: error.message
+    }))
+  };
+}
+
+// Union of keys across JSON rows, in first-seen order
+function collectColumns(rows) {
+  const columns = new Set();
+  rows.forEach((row) => Object.keys(row).forEach((key) => columns.add(key)));
+  return Array.from(columns);
+}
+
+// Guess which source column feeds each field: exact alias first, then a column containing an alias
+function guessColumnMapping(columns) {
+  const normalized = columns.map((column) => ({ column, key: column.toLowerCase().replace(/[\s-]/g, "_") }));
+  const used = new Set();
+  const mapping = {};
+
+  REVIEW_FIELDS.forEach((field) => {
+    const exact = normalized.find((c) => field.aliases.includes(c.key));
+    mapping[field.key] = exact ? exact.column : "";
+    if (exact) used.add(exact.column);
+  });
+  REVIEW_FIELDS.forEach((field) => {
+    if (mapping[field.key]) return;
+    const partial = normalized.find((c) => !used.has(c.column) && field.aliases.some((alias) => c.key.includes(alias)));
+    if (partial) {
+      mapping[field.key] = partial.column;
+      used.add(partial.column);
+    }
+  });
+  return mapping;
+}
+
+// Render one select per field so the user can confirm or fix the mapping
+function displayColumnMapping() {
+  if (!columnMappingElement || !pendingImport) return;
+  const { fileName, format, rows, columns, errors } = pendingImport;
+  const guessed = guessColumnMapping(columns);
+
+  const options = (selected) => ['<option value="">— not in file —</option>']
+    .concat(columns.map((column) => `<option value="${escapeHtml(column)}"${column === selected ? " selected" : ""}>${escapeHtml(column)}</option>`))
+    .join("");
+
+  columnMappingElement.innerHTML = `
+    <p class="import-summary">${escapeHtml(fileName)}: ${format}, ${rows.length} rows, ${errors.length} parse error${errors.length === 1 ? "" : "s"}</p>
+    ${REVIEW_FIELDS.map((field) => `
+      <div class="mapping-row">
+        <label for="map-${field.key}">${field.label}${field.required ? " *" : ""}</label>
+        <select id="map-${field.key}" data-field="${field.key}">${options(guessed[field.key])}</select>
+      </div>`).join("")}
+  `;
+  displayImportErrors(errors);
+  if (importWizard) importWizard.style.display = "block";
+}
+
+// List per-row problems (first 50) below the mapping form
+function displayImportErrors(errors) {
+  if (!importErrorsElement) return;
+  const shown = errors.slice(0, 50);
+  importErrorsElement.innerHTML = shown.map((error) =>
+    `<li>${error.row !== null ? `Row ${error.row}: ` : ""}${escapeHtml(error.message)}</li>`).join("")
+    + (errors.length > shown.length ? `<li>…and ${errors.length - shown.length} more</li>` : "");
+}
+
+// Build reviews from the pending file with the chosen mapping
+function applyColumnMapping() {
+  if (!pendingImport) return;
+  hideError();
+
+  const mapping = {};
+  columnMappingElement.querySelectorAll("select[data-field]").forEach((select) => {
+    mapping[select.dataset.field] = select.value;
+  });
+  if (!mapping.text) {
+    showError("Please choose which column holds the review text.");
+    return;
+  }
+
+  // Rows without text are reported like parse errors and skipped
+  const errors = pendingImport.errors.slice();
+  const rows = [];
+  pendingImport.rows.forEach((raw, index) => {
+    const row = normalizeReviewRow(raw, mapping, index);
+    if (row.text.trim() === "") {
+      errors.push({ row: index + 1, message: `Empty "${mapping.text}" value, row skipped` });
+    } else {
+      rows.push(row);
+    }
+  });
+
+  displayImportErrors(errors);
+  if (rows.length === 0) {
+    showError("No reviews with text were found using this mapping.");
+    return;
+  }
+  setReviews(rows, pendingImport.fileName);
+}
+
+/* ----------------------------------------------------------------------
+   ANALYSIS HISTORY – every result kept locally, exportable offline
+---------------------------------------------------------------------- */
+const LS_KEY_HISTORY = "sa_history";
+const HISTORY_LIMIT = 5000;
+const HISTORY_PREVIEW_SIZE = 10;
+
+let analysisHistory = loadHistory();
+
+// Read saved history; a corrupt entry list is dropped rather than breaking the app
+function loadHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LS_KEY_HISTORY) || "[]");
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.warn("Discarding unreadable analysis history:", error);
+    return [];
+  }
+}
+
+// Persist history, keeping only the newest HISTORY_LIMIT entries
+function saveHistory() {
+  if (analysisHistory.length > HISTORY_LIMIT) {
+    analysisHistory = analysisHistory.slice(-HISTORY_LIMIT);
+  }
+  try {
+    localStorage.setItem(LS_KEY_HISTORY, JSON.stringify(analysisHistory));
+  } catch (error) {
+    console.warn("Could not save analysis history:", error);
+  }
+}
+
+/**
+ * Record one analysis in the local history (independent of remote logging).
+ * @returns {object} The stored entry
+ */
+function recordAnalysis(row, source, sentiment, label, score, action) {
+  return addHistoryEntries([buildHistoryEntry(row, source, sentiment, label, score, action)])[0];
+}
+
+// Shape one history entry
+function buildHistoryEntry(row, source, sentiment, label, score, action) {
+  return {
+    id: generateId(),
+    timestamp: new Date().toISOString(),
+    review: row.text,
+    label,
+    score,
+    sentiment,
+    actionCode: action.actionCode,
+    normalizedScore: action.normalizedScore,
+    modelId: getActiveProvider().modelId,
+    provider: activeProviderId,
+    source,
+    productId: row.productId || "",
+    userId: row.userId || ""
+  };
+}
+
+// Append entries, then save and redraw once
+function addHistoryEntries(entries) {
+  analysisHistory.push(...entries);
+  saveHistory();
+  renderHistory();
+  renderDashboard();
+  return entries;
+}
+
+// Show the history count and the newest entries
+function renderHistory() {
+  if (historyCountElement) {
+    historyCountElement.textContent = `${analysisHistory.length} analys${analysisHistory.length === 1 ? "is" : "es"} recorded`;
+  }
+  if (!historyListElement) return;
+  const newest = analysisHistory.slice(-HISTORY_PREVIEW_SIZE).reverse();
+  historyListElement.innerHTML = newest.map((entry) => `
+    <tr>
+      <td>${escapeHtml(new Date(entry.timestamp).toLocaleString())}</td>
+      <td class="browser-text">${escapeHtml(entry.review.length > 100 ? entry.review.substring(0, 100) + "…" : entry.review)}</td>
+      <td><span class="eval-tag ${entry.sentiment}">${escapeHtml(entry.label)} ${(entry.score * 100).toFixed(1)}%</span></td>
+      <td>${escapeHtml(entry.actionCode)}</td>
+    </tr>`).join("") || '<tr><td colspan="4" class="browser-empty">No analyses yet.</td></tr>';
+}
+
+// Serialize history as CSV, JSON or JSONL
+function serializeHistory(format) {
+  if (format === "csv") {
+    // Entries may differ in fields; nested values go into the cell as JSON
+    const rows = analysisHistory.map((entry) => Object.fromEntries(Object.entries(entry).map(([key, value]) =>
+      [key, value !== null && typeof value === "object" ? JSON.stringify(value) : value])));
+    return Papa.unparse(rows, { columns: collectColumns(analysisHistory) });
+  }
+  if (format === "jsonl") return analysisHistory.map((entry) => JSON.stringify(entry)).join("\n") + "\n";
+  return JSON.stringify(analysisHistory, null, 2);
+}
+
+// Trigger a browser download of generated text
+function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Download the history in the chosen format
+function exportHistory(format) {
+  if (analysisHistory.length === 0) {
+    showError("There is no analysis history to export yet.");
+    return;
+  }
+  const mimeTypes = { csv: "text/csv", json: "application/json", jsonl: "application/x-ndjson" };
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  downloadFile(`sentiment-history-${stamp}.${format}`, serializeHistory(format), mimeTypes[format]);
+}
+
+// Forget every recorded analysis
+function clearHistory() {
+  if (!confirm("Delete the local analysis history?")) return;
+  analysisHistory = [];
+  saveHistory();
+  renderHistory();
+  renderDashboard();
+}
+
+/* ----------------------------------------------------------------------
+   DASHBOARD – aggregate view over the local analysis history
+---------------------------------------------------------------------- */
+const DASHBOARD_TOP_PRODUCTS = 10;
+const CONFIDENCE_BINS = 10;
+
+/**
+ * Aggregate history entries for the dashboard.
+ * @param {Array<object>} entries - Analysis history entries
+ * @returns {object} { total, sentiments, actions, histogram, days, products }
+ */
+function computeDashboardStats(entries) {
+  const countBy = (key) => entries.reduce((counts, entry) => {
+    counts[entry[key]] = (counts[entry[key]] || 0) + 1;
+    return counts;
+  }, {});
+
+  // Confidence histogram over [0, 1] in equal-width bins
+  const histogram = new Array(CONFIDENCE_BINS).fill(0);
+  entries.forEach((entry) => {
+    const bin = Math.min(CONFIDENCE_BINS - 1, Math.floor(Number(entry.score) * CONFIDENCE_BINS));
+    if (bin >= 0) histogram[bin]++;
+  });
+
+  // Daily counts per sentiment bucket, oldest day first
+  const days = {};
+  entries.forEach((entry) => {
+    const day = String(entry.timestamp).substring(0, 10);
+    days[day] = days[day] || { positive: 0, negative: 0, neutral: 0, total: 0 };
+    days[day][entry.sentiment] = (days[day][entry.sentiment] || 0) + 1;
+    days[day].total++;
+  });
+
+  // Analyses in which each action button was pressed (see ACTION REGISTRY)
+  const buttons = {};
+  entries.forEach((entry) => {
+    (entry.buttonsPressed || []).forEach((id) => { buttons[id] = (buttons[id] || 0) + 1; });
+  });
+
+  // Per-product totals, negatives and coupons
+  const products = {};
+  entries.filter((entry) => entry.productId).forEach((entry) => {
+    const product = products[entry.productId] || (products[entry.productId] = { total: 0, negative: 0, coupons: 0 });
+    product.total++;
+    if (entry.sentiment === "negative") product.negative++;
+    if (entry.actionCode === "OFFER_COUPON") product.coupons++;
+  });
+
+  return {
+    total: entries.length,
+    sentiments: countBy("sentiment"),
+    actions: countBy("actionCode"),
+    buttons,
+    histogram,
+    days: Object.keys(days).sort().map((day) => ({ day, ...days[day] })),
+    products: Object.entries(products)
+      .map(([productId, stats]) => ({ productId, ...stats }))
+      .sort((a, b) => b.total - a.total)
+      .slice(0, DASHBOARD_TOP_PRODUCTS)
+  };
+}
+
+// Bar colour per action code in the dashboard and simulator charts
+const ACTION_BAR_CLASSES = { OFFER_COUPON: "negative", CONTACT_SUPPORT: "negative", ASK_REFERRAL: "positive" };
+
+// Bar rows in the same style as the label distribution chart
+function renderBarRows(items, total) {
+  return items.map((item) => {
+    const rate = total ? item.count / total : 0;
+    return `
+      <div class="distribution-row">
+        <span class="distribution-label">${escapeHtml(item.label)}</span>
+        <div class="distribution-bar">
+          <div class="distribution-fill ${item.cssClass || ""}" style="width: ${(rate * 100).toFixed(1)}%"></div>
+        </div>
+        <span class="distribution-value">${item.count} (${(rate * 100).toFixed(0)}%)</span>
+      </div>`;
+  }).join("");
+}
+
+// Redraw the dashboard for the selected source filter
+function renderDashboard() {
+  renderAggregateViews(); // the product and reviewer views share the source filter
+  if (!dashboardElement) return;
+  const source = dashboardSourceSelect ? dashboardSourceSelect.value : "";
+  const entries = source ? analysisHistory.filter((entry) => entry.source === source) : analysisHistory;
+  const stats = computeDashboardStats(entries);
+
+  if (stats.total === 0) {
+    dashboardElement.innerHTML = '<p class="browser-empty">No analyses recorded for this selection yet.</p>';
+    return;
+  }
+
+  const sentimentRows = ["positive", "neutral", "negative"].map((bucket) => ({
+    label: bucket, count: stats.sentiments[bucket] || 0, cssClass: bucket
+  }));
+  const actionRows = Object.keys(stats.actions).sort().map((code) => ({
+    label: code, count: stats.actions[code], cssClass: ACTION_BAR_CLASSES[code] ?? ""
+  }));
+  const buttonRows = Object.keys(stats.buttons).sort().map((id) => ({ label: id, count: stats.buttons[id] }));
+  const histogramRows = stats.histogram.map((count, bin) => ({
+    label: `${(bin / CONFIDENCE_BINS).toFixed(1)}–${((bin + 1) / CONFIDENCE_BINS).toFixed(1)}`,
+    count
+  }));
+  const maxDay = Math.max(...stats.days.map((day) => day.total));
+
+  dashboardElement.innerHTML = `
+    <p class="eval-summary">${stats.total} analyses · ${stats.actions.OFFER_COUPON || 0} coupons would be issued</p>
+    <div class="dashboard-grid">
+      <div>
+        <h4>Sentiment</h4>
+        ${renderBarRows(sentimentRows, stats.total)}
+      </div>
+      <div>
+        <h4>Business actions</h4>
+        ${renderBarRows(actionRows, stats.total)}
+      </div>
+    </div>
+    ${buttonRows.length === 0 ? "" : `
+    <h4>Action buttons pressed</h4>
+    ${renderBarRows(buttonRows, stats.total)}`}
+    <h4>Confidence histogram</h4>
+    ${renderBarRows(histogramRows, stats.total)}
+    <h4>Trend per day</h4>
+    ${stats.days.map((day) => `
+      <div class="distribution-row">
+        <span class="distribution-label">${day.day}</span>
+        <div class="distribution-bar trend-bar" style="width: ${((day.total / maxDay) * 100).toFixed(1)}%">
+          <div class="distribution-fill positive" style="width: ${((day.positive / day.total) * 100).toFixed(1)}%"></div>
+          <div class="distribution-fill" style="width: ${((day.neutral / day.total) * 100).toFixed(1)}%"></div>
+          <div class="distribution-fill negative" style="width: ${((day.negative / day.total) * 100).toFixed(1)}%"></div>
+        </div>
+        <span class="distribution-value">${day.total}</span>
+      </div>`).join("")}
+    <h4>Top products</h4>
+    ${stats.products.length === 0 ? '<p class="browser-empty">No product ids in these analyses.</p>' : `
+    <table class="eval-table">
+      <thead><tr><th>Product</th><th>Analyses</th><th>Negative</th><th>Coupons</th></tr></thead>
+      <tbody>${stats.products.map((product) => `
+        <tr>
+          <td>${escapeHtml(product.productId)}</td>
+          <td>${product.total}</td>
+          <td>${((product.negative / product.total) * 100).toFixed(0)}%</td>
+          <td>${product.coupons}</td>
+        </tr>`).join("")}
+      </tbody>
+    </table>`}
+  `;
+}
+
+/* ----------------------------------------------------------------------
+   THRESHOLD SIMULATOR – what-if view of the coupon / referral cut-offs
+---------------------------------------------------------------------- */
+// Predictions of the last full-dataset run:
+// { modelId, aggregation, items: [{ row, score, label, distribution, aspects, language }] }
+let simulatorCache = null;
+let simulatorController = null;
+
+// Wire sliders and cost inputs; every change re-renders from the cached scores
+function initThresholdSimulator() {
+  if (!simulatorRunBtn) return;
+  simulatorRunBtn.addEventListener("click", scoreDatasetForSimulator);
+  [simCouponInput, simReferralInput, simCouponCostInput, simReferralValueInput].forEach((input) => {
+    input?.addEventListener("input", renderSimulator);
+  });
+}
+
+// Score every review once; slider moves never touch the model again
+async function scoreDatasetForSimulator() {
+  hideError();
+  if (simulatorController) {
+    simulatorController.abort();
+    return;
+  }
+  if (reviews.length === 0) {
+    showError("No reviews available. Please try again later.");
+    return;
+  }
+  if (!getActiveProvider().isReady()) {
+    showError("Sentiment model is not ready yet. Please wait a moment.");
+    return;
+  }
+
+  const rows = reviews.slice();
+  const modelId = getActiveProvider().modelId;
+  simulatorController = new AbortController();
+  simulatorRunBtn.textContent = "Cancel scoring";
+
+  try {
+    const results = await classifyWithSegments(rows.map((row) => row.text), {
+      signal: simulatorController.signal,
+      onProgress: (done, total) => {
+        if (simulatorResults) simulatorResults.textContent = `Scoring ${done} / ${total} reviews...`;
+      }
+    });
+    // Keep everything the rules match on, so slider moves re-run the engine without the model
+    simulatorCache = {
+      modelId,
+      aggregation: aggregationStrategy,
+      items: rows.map((row, i) => {
+        const { score, label, distribution } = extractSentimentData(results[i].output);
+        return {
+          row,
+          score,
+          label,
+          distribution,
+          aspects: detectAspects(row.text, results[i].segments, label),
+          language: results[i].language.language
+        };
+      })
+    };
+    renderSimulator();
+  } catch (error) {
+    if (error.name === "AbortError") {
+      if (simulatorResults) simulatorResults.textContent = "Scoring cancelled.";
+    } else {
+      console.error("Simulator scoring error:", error);
+      showError("Scoring failed: " + (error.message || error));
+    }
+  } finally {
+    simulatorController = null;
+    simulatorRunBtn.textContent = "Score Dataset";
+  }
+}
+
+// Upper normalizedScore bound of a rule ({ lte } or { lt }), if it has one
+function getRuleCutoff(rule) {
+  const range = rule.when && rule.when.normalizedScore;
+  return range ? range.lte ?? range.lt : undefined;
+}
+
+// Start the sliders at the cut-offs of the active coupon and feedback rules
+function seedSimulatorThresholds() {
+  const cutoffs = (actionCode) => businessRules.rules
+    .filter((rule) => rule.action === actionCode)
+    .map(getRuleCutoff)
+    .filter((cutoff) => cutoff !== undefined);
+  const coupon = cutoffs("OFFER_COUPON");
+  const feedback = cutoffs("REQUEST_FEEDBACK");
+  if (simCouponInput && coupon.length > 0) simCouponInput.value = String(Math.max(...coupon));
+  if (simReferralInput && feedback.length > 0) simReferralInput.value = String(Math.max(...feedback));
+  renderSimulator();
+}
+
+// The active rules with the coupon and feedback cut-offs moved to the slider values
+function withSimulatedCutoffs(couponThreshold, referralThreshold) {
+  const overrides = { OFFER_COUPON: couponThreshold, REQUEST_FEEDBACK: referralThreshold };
+  return businessRules.rules.map((rule) => {
+    if (getRuleCutoff(rule) === undefined || overrides[rule.action] === undefined) return rule;
+    const range = rule.when.normalizedScore;
+    const bound = range.lte !== undefined ? "lte" : "lt";
+    return { ...rule, when: { ...rule.when, normalizedScore: { ...range, [bound]: overrides[rule.action] } } };
+  });
+}
+
+/**
+ * Run cached predictions through the rule engine with the two cut-offs
+ * overridden, so every other rule (neutral labels, logistics complaints, ...)
+ * decides exactly as it does for a live review.
+ */
+function simulateThresholds(items, couponThreshold, referralThreshold, couponCost, referralValue) {
+  const rules = withSimulatedCutoffs(couponThreshold, referralThreshold);
+  const counts = { OFFER_COUPON: 0, REQUEST_FEEDBACK: 0, ASK_REFERRAL: 0 };
+  const negativeReferrals = [];
+  let negatives = 0;
+
+  items.forEach((item) => {
+    const action = determineBusinessAction(item.score, item.label, {
+      ...item.row,
+      distribution: item.distribution,
+      aspects: item.aspects,
+      language: item.language
+    }, rules);
+    counts[action.actionCode] = (counts[action.actionCode] || 0) + 1;
+
+    if (item.row.groundTruth === "negative") {
+      negatives++;
+      if (action.actionCode === "ASK_REFERRAL") negativeReferrals.push({ ...item, normalizedScore: action.normalizedScore });
+    }
+  });
+
+  const couponSpend = counts.OFFER_COUPON * couponCost;
+  const referralReturn = counts.ASK_REFERRAL * referralValue;
+  return {
+    total: items.length,
+    counts,
+    couponSpend,
+    referralReturn,
+    net: referralReturn - couponSpend,
+    negatives,
+    negativeReferrals
+  };
+}
+
+// Read the controls, run the simulation and show the outcome
+function renderSimulator() {
+  if (!simulatorResults) return;
+  let couponThreshold = Number(simCouponInput.value);
+  let referralThreshold = Number(simReferralInput.value);
+  // Keep the coupon cut-off at or below the referral cut-off
+  if (couponThreshold > referralThreshold) {
+    couponThreshold = referralThreshold;
+    simCouponInput.value = String(couponThreshold);
+  }
+  if (simCouponLabel) simCouponLabel.textContent = couponThreshold.toFixed(2);
+  if (simReferralLabel) simReferralLabel.textContent = referralThreshold.toFixed(2);
+
+  if (!simulatorCache) {
+    simulatorResults.innerHTML = '<p class="browser-empty">Score the dataset to start simulating.</p>';
+    return;
+  }
+  if (simulatorCache.modelId !== getActiveProvider().modelId || simulatorCache.aggregation !== aggregationStrategy) {
+    simulatorResults.innerHTML = '<p class="browser-empty">The model or aggregation changed since the dataset was scored. Please score it again.</p>';
+    return;
+  }
+
+  const couponCost = Number(simCouponCostInput?.value) || 0;
+  const referralValue = Number(simReferralValueInput?.value) || 0;
+  const result = simulateThresholds(simulatorCache.items, couponThreshold, referralThreshold, couponCost, referralValue);
+  const money = (value) => value.toLocaleString(undefined, { style: "currency", currency: "USD" });
+  const embarrassingRate = result.negatives ? result.negativeReferrals.length / result.negatives : 0;
+
+  simulatorResults.innerHTML = `
+    ${renderBarRows(Object.keys(result.counts).sort().map((code) => ({
+      label: code, count: result.counts[code], cssClass: ACTION_BAR_CLASSES[code] ?? ""
+    })), result.total)}
+    <table class="eval-table simulator-costs">
+      <tr><th>Coupon spend</th><td>${money(result.couponSpend)}</td></tr>
+      <tr><th>Referral value</th><td>${money(result.referralReturn)}</td></tr>
+      <tr><th>Net</th><td><strong>${money(result.net)}</strong></td></tr>
+    </table>
+    <p class="simulator-warning${result.negativeReferrals.length ? " active" : ""}">
+      <i class="fas fa-triangle-exclamation"></i>
+      ${result.negativeReferrals.length} of ${result.negatives} ground-truth negative reviews
+      (${(embarrassingRate * 100).toFixed(1)}%) would be asked for a referral.
+    </p>
+    ${result.negativeReferrals.length ? `
+    <ul class="eval-misclassified">${result.negativeReferrals.slice(0, 20).map((item) => `
+      <li><span class="eval-tag positive">score ${item.normalizedScore.toFixed(2)}</span><p>${escapeHtml(item.row.text)}</p></li>`).join("")}
+    </ul>` : ""}
+  `;
+}
+
+/* ----------------------------------------------------------------------
+   COUPONS – checksummed codes, one per user per window, kept locally
+---------------------------------------------------------------------- */
+const LS_KEY_COUPONS = "sa_coupons";
+// When this browser last got a coupon. It holds no id or code, so "Forget me"
+// keeps it and a new anonymous id does not reset the per-user window.
+const LS_KEY_LAST_COUPON_AT = "sa_last_coupon_at";
+// No 0/O/1/I so codes survive being read out over the phone
+const COUPON_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const COUPON_BODY_LENGTH = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Coupon settings from the rule set, falling back to the built-in defaults
+function getCouponSettings() {
+  return { ...DEFAULT_BUSINESS_RULES.coupon, ...(businessRules.coupon || {}) };
+}
+
+// Read issued coupons from local storage
+function loadCoupons() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LS_KEY_COUPONS) || "[]");
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.warn("Discarding unreadable coupon store:", error);
+    return [];
+  }
+}
+
+// Persist issued coupons
+function saveCoupons(coupons) {
+  localStorage.setItem(LS_KEY_COUPONS, JSON.stringify(coupons));
+}
+
+/**
+ * Luhn mod N check character over the body's alphabet indices, so every
+ * single-character typo in the body changes it. The prefix may use letters
+ * outside the alphabet; it only shifts the starting sum.
+ * @returns {string} Check character, or "" when the body is not from the alphabet
+ */
+function couponChecksum(prefix, body) {
+  const n = COUPON_ALPHABET.length;
+  let sum = prefix.split("").reduce((total, char, i) => total + (i + 1) * parseInt(char, 36), 0) % n;
+  let factor = 2;
+  for (let i = body.length - 1; i >= 0; i--) {
+    const index = COUPON_ALPHABET.indexOf(body[i]);
+    if (index === -1) return "";
+    const addend = factor * index;
+    sum += Math.floor(addend / n) + (addend % n);
+    factor = factor === 2 ? 1 : 2;
+  }
+  return COUPON_ALPHABET[(n - (sum % n)) % n];
+}
+
+// Random code body from the coupon alphabet
+function randomCouponBody() {
+  const bytes = new Uint8Array(COUPON_BODY_LENGTH);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (byte) => COUPON_ALPHABET[byte % COUPON_ALPHABET.length]).join("");
+}
+
+// New code that does not collide with any issued coupon
+function generateCouponCode(prefix, coupons) {
+  const taken = new Set(coupons.map((coupon) => coupon.code));
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const body = randomCouponBody();
+    const code = `${prefix}-${body}-${couponChecksum(prefix, body)}`;
+    if (!taken.has(code)) return code;
+  }
+  throw new Error("Could not generate a unique coupon code.");
+}
+
+/**
+ * Issue a coupon to the current user unless they already got one in the window.
+ * @returns {object} { issued: true, coupon } or { issued: false, coupon, nextEligibleAt },
+ *   where coupon is null when it was deleted by "Forget me"
+ */
+function issueCoupon() {
+  const settings = getCouponSettings();
+  const userId = getUserId();
+  const coupons = loadCoupons();
+  const now = Date.now();
+
+  const windowMs = settings.perUserWindowDays * DAY_MS;
+  const recent = coupons
+    .filter((coupon) => coupon.userId === userId && now - coupon.issuedAt < windowMs)
+    .sort((a, b) => b.issuedAt - a.issuedAt)[0];
+  const lastIssuedAt = Math.max(recent ? recent.issuedAt : 0, Number(localStorage.getItem(LS_KEY_LAST_COUPON_AT)) || 0);
+  if (now - lastIssuedAt < windowMs) {
+    return { issued: false, coupon: recent || null, nextEligibleAt: lastIssuedAt + windowMs };
+  }
+
+  const coupon = {
+    code: generateCouponCode(settings.prefix, coupons),
+    userId,
+    discountPercent: settings.discountPercent,
+    issuedAt: now,
+    expiresAt: now + settings.validityDays * DAY_MS,
+    redeemedAt: null
+  };
+  coupons.push(coupon);
+  saveCoupons(coupons);
+  localStorage.setItem(LS_KEY_LAST_COUPON_AT, String(now));
+  logFollowUpEvent("coupon_issued", { coupon_code: coupon.code, coupon_expires_at: new Date(coupon.expiresAt).toISOString() });
+  renderCoupons();
+  return { issued: true, coupon };
+}
+
+/**
+ * Check a code's format, checksum and stored state.
+ * @returns {object} { status, coupon? } where status is one of
+ *   "invalid", "unknown", "expired", "redeemed", "valid"
+ */
+function validateCoupon(code) {
+  const normalized = String(code || "").trim().toUpperCase();
+  const match = normalized.match(/^([A-Z0-9]+)-([A-Z2-9]{6})-([A-Z2-9])$/);
+  if (!match) return { status: "invalid" };
+
+  // Looked up first: codes issued under the old checksum are still stored
+  const coupon = loadCoupons().find((c) => c.code === normalized);
+  if (!coupon) return { status: couponChecksum(match[1], match[2]) === match[3] ? "unknown" : "invalid" };
+  if (coupon.redeemedAt) return { status: "redeemed", coupon };
+  if (Date.now() > coupon.expiresAt) return { status: "expired", coupon };
+  return { status: "valid", coupon };
+}
+
+// Mark a valid coupon as used
+function redeemCoupon(code) {
+  const result = validateCoupon(code);
+  if (result.status !== "valid") return result;
+  const coupons = loadCoupons();
+  const coupon = coupons.find((c) => c.code === result.coupon.code);
+  coupon.redeemedAt = Date.now();
+  saveCoupons(coupons);
+  logFollowUpEvent("coupon_redeemed", { coupon_code: coupon.code });
+  renderCoupons();
+  return { status: "redeemed-now", coupon };
+}
+
+// Show the result of validate/redeem in the coupon panel
+function showCouponCheck(result) {
+  if (!couponCheckResult) return;
+  const messages = {
+    invalid: "Not a valid coupon code (format or checksum is wrong).",
+    unknown: "This code was never issued.",
+    expired: "This coupon has expired.",
+    redeemed: "This coupon has already been redeemed.",
+    valid: "Valid coupon.",
+    "redeemed-now": "Coupon redeemed."
+  };
+  const details = result.coupon
+    ? ` ${result.coupon.discountPercent}% off, expires ${new Date(result.coupon.expiresAt).toLocaleDateString()}.`
+    : "";
+  couponCheckResult.textContent = messages[result.status] + details;
+  couponCheckResult.className = `coupon-check ${result.status === "valid" || result.status === "redeemed-now" ? "success" : "error"}`;
+}
+
+// List issued coupons with their current state
+function renderCoupons() {
+  if (!couponListElement) return;
+  const now = Date.now();
+  couponListElement.innerHTML = loadCoupons().slice().reverse().map((coupon) => {
+    const state = coupon.redeemedAt ? "redeemed" : now > coupon.expiresAt ? "expired" : "active";
+    return `
+      <tr>
+        <td><code>${escapeHtml(coupon.code)}</code></td>
+        <td>${new Date(coupon.issuedAt).toLocaleDateString()}</td>
+        <td>${new Date(coupon.expiresAt).toLocaleDateString()}</td>
+        <td>${state}</td>
+      </tr>`;
+  }).join("") || '<tr><td colspan="4" class="browser-empty">No coupons issued yet.</td></tr>';
+}
+
+// Wire the validate / redeem view
+function initCouponView() {
+  couponValidateBtn?.addEventListener("click", () => showCouponCheck(validateCoupon(couponCodeInput.value)));
+  couponRedeemBtn?.addEventListener("click", () => showCouponCheck(redeemCoupon(couponCodeInput.value)));
+  renderCoupons();
+}
+
+/* ----------------------------------------------------------------------
+   REFERRALS & TESTIMONIALS – signed codes and tracked share events
+---------------------------------------------------------------------- */
+const LS_KEY_PENDING_REFERRAL = "sa_pending_referral"; // visit waiting for a consent decision
+
+// Referral settings from the rule set, falling back to the built-in defaults
+function getReferralSettings() {
+  return { ...DEFAULT_BUSINESS_RULES.referral, ...(businessRules.referral || {}) };
+}
+
+// Hex HMAC-SHA-256 of a message; Web Crypto only exists in a secure context
+async function hmacHex(key, message) {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error("Signing needs a secure context: open the page over HTTPS or from localhost");
+  }
+  const encoder = new TextEncoder();
+  const cryptoKey = await crypto.subtle.importKey(
+    "raw", encoder.encode(key), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", cryptoKey, encoder.encode(message));
+  return Array.from(new Uint8Array(signature), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Referral code for the current user: an id prefix plus a short signature,
+ * so a landing page can tell real codes from typed-in ones. The key ships
+ * with the page, so this deters tampering rather than preventing it.
+ */
+async function getReferralCode() {
+  const prefix = getUserId().replace(/[^a-zA-Z0-9]/g, "").substring(0, 8).toUpperCase();
+  const signature = await hmacHex(getReferralSettings().signingKey, prefix);
+  return `${prefix}-${signature.substring(0, 6).toUpperCase()}`;
+}
+
+// Check that a referral code's signature matches its prefix
+async function verifyReferralCode(code) {
+  const match = String(code || "").toUpperCase().match(/^([A-Z0-9]{1,8})-([0-9A-F]{6})$/);
+  if (!match) return false;
+  const signature = await hmacHex(getReferralSettings().signingKey, match[1]);
+  return signature.substring(0, 6).toUpperCase() === match[2];
+}
+
+// Full referral link; without a configured base URL the app itself is the landing page
+async function buildReferralLink() {
+  const settings = getReferralSettings();
+  const url = new URL(settings.baseUrl || `${location.origin}${location.pathname}`);
+  url.searchParams.set("ref", await getReferralCode());
+  return url.toString();
+}
+
+// Log a visit that arrived through a referral link, once per link click
+async function trackReferralVisit() {
+  const params = new URLSearchParams(location.search);
+  const code = params.get("ref");
+  if (code) {
+    // A new visitor has not answered the consent banner yet, so the visit is
+    // kept until they do and logged (or dropped) by logPendingReferralVisit
+    localStorage.setItem(LS_KEY_PENDING_REFERRAL, JSON.stringify({ code, visitedAt: new Date().toISOString() }));
+
+    // Drop the parameter so a reload is not counted as another visit
+    params.delete("ref");
+    const query = params.toString();
+    history.replaceState(null, "", `${location.pathname}${query ? `?${query}` : ""}${location.hash}`);
+  }
+  await logPendingReferralVisit();
+}
+
+// Log the kept referral visit once consent is granted; a refusal discards it
+async function logPendingReferralVisit() {
+  const consent = getConsent();
+  const saved = localStorage.getItem(LS_KEY_PENDING_REFERRAL);
+  if (!consent || !saved) return;
+  localStorage.removeItem(LS_KEY_PENDING_REFERRAL);
+  if (consent !== "granted") return;
+
+  let visit;
+  try {
+    visit = JSON.parse(saved);
+  } catch (error) {
+    return;
+  }
+  const valid = await verifyReferralCode(visit.code);
+  logFollowUpEvent("referral_visit", { referral_code: visit.code, referral_valid: valid, visited_at: visit.visitedAt }, null);
+}
+
+/* ----------------------------------------------------------------------
+   EXPLANATIONS – leave-one-out word attribution for the shown review
+---------------------------------------------------------------------- */
+const EXPLAIN_MAX_UNITS = 60;  // longer reviews are occluded in multi-word chunks
+const EXPLAIN_TOP_PHRASES = 5;
+
+let explainController = null;  // AbortController of the running explanation
+
+// Words of a review grouped into at most EXPLAIN_MAX_UNITS occlusion units
+function buildExplanationUnits(text) {
+  const tokens = text.split(/(\s+)/).filter((token) => token !== "");
+  const wordIndexes = tokens.map((token, i) => (/\S/.test(token) ? i : -1)).filter((i) => i >= 0);
+  const size = Math.max(1, Math.ceil(wordIndexes.length / EXPLAIN_MAX_UNITS));
+
+  const units = [];
+  for (let i = 0; i < wordIndexes.length; i += size) {
+    const indexes = wordIndexes.slice(i, i + size);
+    units.push({
+      start: indexes[0],
+      end: indexes[indexes.length - 1],
+      phrase: tokens.slice(indexes[0], indexes[indexes.length - 1] + 1).join("")
+    });
+  }
+  return { tokens, units };
+}
+
+/**
+ * Leave-one-out attribution: classify the review once per unit with that
+ * unit removed. A unit's weight is how far the score drops without it,
+ * so positive weights pushed the review towards POSITIVE.
+ * @returns {Promise<object>} { tokens, units: [{ start, end, phrase, weight }], baseline }
+ */
+async function explainPrediction(text, hooks = {}) {
+  const { tokens, units } = buildExplanationUnits(text);
+  const occluded = units.map((unit) => tokens
+    .filter((token, i) => i < unit.start || i > unit.end)
+    .join("")
+    .replace(/\s+/g, " ")
+    .trim());
+
+  const outputs = await analyzeSentimentBatch([text, ...occluded], hooks);
+  const baseline = polarityScore(outputs[0]);
+  units.forEach((unit, i) => { unit.weight = baseline - polarityScore(outputs[i + 1]); });
+  return { tokens, units, baseline };
+}
+
+// Re-render the review text with each unit tinted by its weight
+function renderExplanationHighlights(explanation) {
+  const { tokens, units } = explanation;
+  const maxWeight = Math.max(...units.map((unit) => Math.abs(unit.weight)), 1e-6);
+  const unitByStart = new Map(units.map((unit) => [unit.start, unit]));
+
+  let html = "";
+  for (let i = 0; i < tokens.length; i++) {
+    const unit = unitByStart.get(i);
+    if (!unit) {
+      html += escapeHtml(tokens[i]);
+      continue;
+    }
+    const strength = Math.abs(unit.weight) / maxWeight;
+    const color = unit.weight >= 0 ? "40, 167, 69" : "220, 53, 69";
+    const title = `${unit.weight >= 0 ? "+" : ""}${unit.weight.toFixed(3)}`;
+    html += `<mark class="explain-token" style="background-color: rgba(${color}, ${(strength * 0.6).toFixed(2)})" title="${title}">${escapeHtml(unit.phrase)}</mark>`;
+    i = unit.end;
+  }
+  reviewText.innerHTML = html;
+}
+
+// Most influential phrases, listed under the business action
+function renderExplanationPhrases(explanation) {
+  if (!explainPhrasesElement) return;
+  const top = explanation.units
+    .filter((unit) => Math.abs(unit.weight) >= 0.005)
+    .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight))
+    .slice(0, EXPLAIN_TOP_PHRASES);
+
+  if (top.length === 0) {
+    explainPhrasesElement.innerHTML = "<p><small>No single word changes the prediction noticeably.</small></p>";
+  } else {
+    explainPhrasesElement.innerHTML = `
+      <h4>Top contributing phrases</h4>
+      <ol>${top.map((unit) => `
+        <li><span class="eval-tag ${unit.weight >= 0 ? "positive" : "negative"}">${unit.weight >= 0 ? "+" : ""}${unit.weight.toFixed(3)}</span> ${escapeHtml(unit.phrase)}</li>`).join("")}
+      </ol>`;
+  }
+  explainPhrasesElement.style.display = "block";
+  return top;
+}
+
+// Drop any explanation of the previous review
+function clearExplanation() {
+  if (explainController) explainController.abort();
+  if (explainPhrasesElement) {
+    explainPhrasesElement.innerHTML = "";
+    explainPhrasesElement.style.display = "none";
+  }
+  if (explainBtn) explainBtn.disabled = true;
+}
+
+// Explain the review currently shown; clicking again while running cancels
+async function explainCurrentReview() {
+  if (explainController) {
+    explainController.abort();
+    return;
+  }
+  if (!currentAnalysis) return;
+  hideError();
+
+  const analysis = currentAnalysis;
+  explainController = new AbortController();
+  const { signal } = explainController;
+  explainBtn.textContent = "Cancel";
+
+  try {
+    const explanation = await explainPrediction(analysis.row.text, {
+      signal,
+      onProgress: (done, total) => { statusElement.textContent = `Explaining prediction… ${done}/${total}`; }
+    });
+    if (currentAnalysis !== analysis) return;
+
+    renderExplanationHighlights(explanation);
+    const top = renderExplanationPhrases(explanation);
+    statusElement.textContent = "Explanation ready";
+    logFollowUpEvent("explanation_viewed", {
+      top_phrases: top.map((unit) => ({ phrase: unit.phrase, weight: Number(unit.weight.toFixed(4)) }))
+    });
+  } catch (error) {
+    if (error.name === "AbortError") {
+      statusElement.textContent = "Explanation cancelled";
+    } else {
+      console.error("Explanation error:", error);
+      showError(error.message || "Failed to explain the prediction.");
+    }
+  } finally {
+    explainController = null;
+    explainBtn.textContent = "Explain";
+  }
+}
+
+/* ----------------------------------------------------------------------
+   LONG REVIEWS – sentence segmentation and score aggregation
+---------------------------------------------------------------------- */
+const LS_KEY_AGGREGATION = "sa_aggregation_v2"; // v1 saved "length" without the user choosing it
+const SEGMENT_MAX_WORDS = 200; // keeps every part well inside the 512-token limit
+const MODEL_WINDOW_WORDS = 350; // about 512 tokens of English review text
+
+// How a review is scored: whole, or split into sentences whose scores are combined
+const AGGREGATION_STRATEGIES = {
+  whole: "Whole review (split only past the model window)",
+  length: "Length-weighted",
+  mean: "Mean",
+  worst: "Worst sentence"
+};
+
+let aggregationStrategy = "whole";
+
+// Split a review into sentences; sentences over SEGMENT_MAX_WORDS become word windows
+function splitReviewSegments(text) {
+  const value = String(text || "").trim();
+  let sentences;
+  if (typeof Intl !== "undefined" && Intl.Segmenter) {
+    const segmenter = new Intl.Segmenter("en", { granularity: "sentence" });
+    sentences = value.split(/\n+/).flatMap((paragraph) =>
+      Array.from(segmenter.segment(paragraph), (part) => part.segment));
+  } else {
+    sentences = value.match(/[^.!?\n]+(?:[.!?]+["')\]]*|\n|$)/g) || [value];
+  }
+
+  const segments = [];
+  sentences
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => /[a-z0-9]/i.test(sentence))
+    .forEach((sentence) => {
+      const words = sentence.split(/\s+/);
+      for (let i = 0; i < words.length; i += SEGMENT_MAX_WORDS) {
+        segments.push(words.slice(i, i + SEGMENT_MAX_WORDS).join(" "));
+      }
+    });
+  return segments.length > 0 ? segments : [value];
+}
+
+// Segments one review is classified in under the given strategy
+function reviewSegments(text, strategy = aggregationStrategy) {
+  if (strategy === "whole" && String(text || "").trim().split(/\s+/).length <= MODEL_WINDOW_WORDS) {
+    return [text];
+  }
+  return splitReviewSegments(text);
+}
+
+// 0 (negative) – 1 (positive) score of one raw provider output
+function polarityScore(output) {
+  const { label, score, distribution } = extractSentimentData(output);
+  return determineBusinessAction(score, label, { distribution }).normalizedScore;
+}
+
+/**
+ * Combine the raw outputs of a review's segments into one output of the
+ * same shape, so extractSentimentData treats it like a single prediction.
+ * Labels a segment did not return count as 0 in the averages.
+ */
+function aggregateSegmentOutputs(segments, outputs, strategy = aggregationStrategy) {
+  const perSegment = outputs.map((output) => extractSentimentData(output).labels);
+
+  if (strategy === "worst") {
+    let worst = 0;
+    outputs.forEach((output, i) => {
+      if (polarityScore(output) < polarityScore(outputs[worst])) worst = i;
+    });
+    return perSegment[worst];
+  }
+
+  // "whole" only gets here for reviews past the model window
+  const weights = segments.map((segment) => (strategy === "mean" ? 1 : segment.length));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+  const sums = {};
+  perSegment.forEach((labels, i) => {
+    labels.forEach((item) => { sums[item.label] = (sums[item.label] || 0) + item.score * weights[i]; });
+  });
+  return Object.entries(sums)
+    .map(([label, sum]) => ({ label, score: sum / totalWeight }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Classify reviews segment by segment. Each review's language picks the
+ * model (see getLanguageProvider); all segments routed to the same model
+ * go through one cached batch. Progress is reported in whole reviews.
+ * @param {string[]} texts
+ * @param {object} [hooks] - { onProgress(done, total), signal: AbortSignal }
+ * @returns {Promise<Array>} Per review: { output, segments, language, modelId } where
+ *   segments is [{ text, output }] for split reviews and null otherwise,
+ *   and language is the detectLanguage result
+ */
+async function classifyWithSegments(texts, hooks = {}) {
+  const provider = getActiveProvider();
+  if (!provider.isReady()) throw new Error("Sentiment model is not initialized.");
+
+  const parts = texts.map((text) => reviewSegments(text));
+  const languages = texts.map(detectLanguage);
+  const providers = languages.map((detection) => getLanguageProvider(provider, detection.language));
+
+  const groups = new Map(); // model id -> { provider, reviewIndexes }
+  providers.forEach((routed, i) => {
+    if (!groups.has(routed.modelId)) groups.set(routed.modelId, { provider: routed, reviewIndexes: [] });
+    groups.get(routed.modelId).reviewIndexes.push(i);
+  });
+
+  const reviewOutputs = new Array(texts.length);
+  let reviewsDone = 0;
+  for (const group of groups.values()) {
+    const groupParts = group.reviewIndexes.map((i) => parts[i]);
+    const lastIndexes = [];
+    groupParts.reduce((end, segments) => { lastIndexes.push(end + segments.length); return end + segments.length; }, 0);
+
+    const onProgress = hooks.onProgress
+      ? (done) => hooks.onProgress(reviewsDone + lastIndexes.filter((end) => end <= done).length, texts.length)
+      : undefined;
+    const outputs = await classifyCached(group.provider, groupParts.flat(), { signal: hooks.signal, onProgress });
+
+    let offset = 0;
+    group.reviewIndexes.forEach((reviewIndex, i) => {
+      reviewOutputs[reviewIndex] = outputs.slice(offset, offset + groupParts[i].length);
+      offset += groupParts[i].length;
+    });
+    reviewsDone += group.reviewIndexes.length;
+  }
+
+  return parts.map((segments, i) => {
+    const segmentOutputs = reviewOutputs[i];
+    const details = { language: languages[i], modelId: providers[i].modelId };
+    if (segments.length === 1) return { ...details, output: segmentOutputs[0], segments: null };
+    return {
+      ...details,
+      output: aggregateSegmentOutputs(segments, segmentOutputs),
+      segments: segments.map((text, j) => ({ text, output: segmentOutputs[j] }))
+    };
+  });
+}
+
+// Per-sentence sentiment under the overall result
+function displaySentenceBreakdown(segments) {
+  if (!sentenceBreakdown) return;
+  if (!segments) {
+    sentenceBreakdown.innerHTML = "";
+    return;
+  }
+  sentenceBreakdown.innerHTML = `
+    <h4>Per-sentence sentiment <small>(${escapeHtml(AGGREGATION_STRATEGIES[aggregationStrategy])})</small></h4>
+    <ul>${segments.map((segment) => {
+      const { sentiment, label, score } = extractSentimentData(segment.output);
+      return `
+      <li><span class="eval-tag ${sentiment}">${label} ${(score * 100).toFixed(0)}%</span> ${escapeHtml(segment.text)}</li>`;
+    }).join("")}
+    </ul>`;
+}
+
+// Pick an aggregation strategy and remember it
+function selectAggregation(strategy) {
+  aggregationStrategy = AGGREGATION_STRATEGIES[strategy] ? strategy : "whole";
+  localStorage.setItem(LS_KEY_AGGREGATION, aggregationStrategy);
+  if (aggregationSelect) aggregationSelect.value = aggregationStrategy;
+  renderSimulator();
+}
+
+// Fill the strategy dropdown and restore the saved choice
+function initAggregationControls() {
+  if (aggregationSelect) {
+    aggregationSelect.innerHTML = "";
+    Object.entries(AGGREGATION_STRATEGIES).forEach(([id, name]) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = name;
+      aggregationSelect.appendChild(option);
+    });
+    aggregationSelect.addEventListener("change", () => selectAggregation(aggregationSelect.value));
+  }
+  selectAggregation(localStorage.getItem(LS_KEY_AGGREGATION) || "whole");
+}
+
+/* ----------------------------------------------------------------------
+   PREDICTION CACHE – raw model outputs kept in IndexedDB
+---------------------------------------------------------------------- */
+const PREDICTION_CACHE_DB_NAME = "sa_prediction_cache";
+const PREDICTION_CACHE_STORE = "predictions";
+const PREDICTION_CACHE_VERSION = 1;       // bump when pre/post-processing changes
+const PREDICTION_CACHE_MAX_ENTRIES = 20000;
+
+let predictionCacheDbPromise = null;
+let predictionCacheMemory = new Map(); // used when IndexedDB is unavailable
+const predictionCacheStats = { hits: 0, misses: 0 };
+
+// Open (or create) the cache database; resolves to null without IndexedDB
+function openPredictionCacheDb() {
+  if (!predictionCacheDbPromise) {
+    predictionCacheDbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") return resolve(null);
+      const request = indexedDB.open(PREDICTION_CACHE_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(PREDICTION_CACHE_STORE, { keyPath: "key" });
+        store.createIndex("modelId", "modelId");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("IndexedDB unavailable, prediction cache kept in memory:", request.error);
+        resolve(null);
+      };
+    });
+  }
+  return predictionCacheDbPromise;
+}
+
+// Run a callback against the cache store and resolve once its transaction completes
+async function predictionCacheRequest(mode, run) {
+  const db = await openPredictionCacheDb();
+  if (!db) return run(null);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(PREDICTION_CACHE_STORE, mode);
+    const result = run(tx.objectStore(PREDICTION_CACHE_STORE));
+    tx.oncomplete = () => resolve(typeof result === "function" ? result() : result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Same text regardless of surrounding or repeated whitespace and Unicode form
+function normalizeCacheText(text) {
+  return String(text || "").normalize("NFC").replace(/\s+/g, " ").trim();
+}
+
+// SHA-256 of cache version, model id and normalized text
+async function predictionCacheKey(text, modelId) {
+  const message = `${PREDICTION_CACHE_VERSION}\u0000${modelId}\u0000${normalizeCacheText(text)}`;
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(message));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// Cached outputs for the given keys (undefined where missing)
+function predictionCacheGetMany(keys) {
+  return predictionCacheRequest("readonly", (store) => {
+    if (!store) return keys.map((key) => predictionCacheMemory.get(key)?.output);
+    const requests = keys.map((key) => store.get(key));
+    return () => requests.map((request) => request.result?.output);
+  });
+}
+
+// Store new outputs, dropping the oldest entries once the cache is full
+async function predictionCachePutMany(entries) {
+  await predictionCacheRequest("readwrite", (store) => {
+    entries.forEach((entry) => {
+      if (store) store.put(entry);
+      else predictionCacheMemory.set(entry.key, entry);
+    });
+  });
+
+  const count = await predictionCacheCount();
+  if (count <= PREDICTION_CACHE_MAX_ENTRIES) return;
+  await predictionCacheRequest("readwrite", (store) => {
+    const all = store ? null : Array.from(predictionCacheMemory.values());
+    const drop = (records) => records
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .slice(0, count - PREDICTION_CACHE_MAX_ENTRIES)
+      .forEach((record) => (store ? store.delete(record.key) : predictionCacheMemory.delete(record.key)));
+    if (!store) return drop(all);
+    store.getAll().onsuccess = (event) => drop(event.target.result);
+  });
+}
+
+// Number of stored predictions
+function predictionCacheCount() {
+  return predictionCacheRequest("readonly", (store) => {
+    if (!store) return predictionCacheMemory.size;
+    const request = store.count();
+    return () => request.result;
+  });
+}
+
+// Remove every prediction of one model, or all predictions without a model id
+async function clearPredictionCache(modelId = null) {
+  await predictionCacheRequest("readwrite", (store) => {
+    if (!store) {
+      predictionCacheMemory.forEach((entry, key) => {
+        if (!modelId || entry.modelId === modelId) predictionCacheMemory.delete(key);
+      });
+      return;
+    }
+    if (!modelId) {
+      store.clear();
+      return;
+    }
+    store.index("modelId").openKeyCursor(IDBKeyRange.only(modelId)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      store.delete(cursor.primaryKey);
+      cursor.continue();
+    };
+  });
+  renderPredictionCacheStats();
+}
+
+// Classify with the provider itself, in one batch where it supports that
+function classifyUncached(provider, texts, hooks) {
+  return provider.classifyBatch
+    ? provider.classifyBatch(texts, hooks)
+    : classifySequentially(provider.classify, texts, hooks);
+}
+
+/**
+ * Classify texts through the cache: hits come from IndexedDB, only misses
+ * reach the provider, and their outputs are stored for next time.
+ * Hits count as done before the first miss in the progress reports.
+ */
+async function classifyCached(provider, texts, hooks = {}) {
+  // Hashing needs a secure context
+  if (!globalThis.crypto?.subtle) return classifyUncached(provider, texts, hooks);
+
+  const modelId = provider.modelId;
+  const keys = await Promise.all(texts.map((text) => predictionCacheKey(text, modelId)));
+  const outputs = await predictionCacheGetMany(keys).catch((error) => {
+    console.warn("Prediction cache read failed:", error);
+    return keys.map(() => undefined);
+  });
+
+  const missIndexes = [];
+  outputs.forEach((output, i) => { if (output === undefined) missIndexes.push(i); });
+  const hitCount = texts.length - missIndexes.length;
+  predictionCacheStats.hits += hitCount;
+  predictionCacheStats.misses += missIndexes.length;
+  hooks.onProgress?.(hitCount, texts.length);
+
+  if (missIndexes.length > 0) {
+    const fresh = await classifyUncached(provider, missIndexes.map((i) => texts[i]), {
+      signal: hooks.signal,
+      onProgress: hooks.onProgress && ((done) => hooks.onProgress(hitCount + done, texts.length))
+    });
+    missIndexes.forEach((index, i) => { outputs[index] = fresh[i]; });
+
+    // Do not keep results if the model was switched while they were computed
+    if (provider.modelId === modelId) {
+      const now = Date.now();
+      predictionCachePutMany(missIndexes.map((index) => ({ key: keys[index], modelId, output: outputs[index], createdAt: now })))
+        .catch((error) => console.warn("Prediction cache write failed:", error));
+    }
+  }
+
+  renderPredictionCacheStats();
+  return outputs;
+}
+
+// "N cached · hits / misses" under the model settings
+async function renderPredictionCacheStats() {
+  if (!cacheStatsElement) return;
+  const count = await predictionCacheCount().catch(() => 0);
+  const { hits, misses } = predictionCacheStats;
+  const lookups = hits + misses;
+  const rate = lookups > 0 ? ` (${((hits / lookups) * 100).toFixed(0)}% hit rate)` : "";
+  cacheStatsElement.textContent = `${count} cached prediction${count === 1 ? "" : "s"} · ${hits} hits / ${misses} misses this session${rate}`;
+}
+
+/* ----------------------------------------------------------------------
+   REVIEW QUEUE – human approval for uncertain or costly decisions
+---------------------------------------------------------------------- */
+const LS_KEY_REVIEW_QUEUE = "sa_review_queue";
+const REVIEW_LABELS = ["POSITIVE", "NEUTRAL", "NEGATIVE"];
+
+let reviewQueue = loadReviewQueue();
+
+// Review settings from the rule set, falling back to the built-in defaults
+function getReviewSettings() {
+  return { ...DEFAULT_BUSINESS_RULES.review, ...(businessRules.review || {}) };
+}
+
+// Read the stored queue; an unreadable store starts empty
+function loadReviewQueue() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LS_KEY_REVIEW_QUEUE) || "[]");
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.warn("Discarding unreadable review queue:", error);
+    return [];
+  }
+}
+
+// Persist the queue
+function saveReviewQueue() {
+  localStorage.setItem(LS_KEY_REVIEW_QUEUE, JSON.stringify(reviewQueue));
+}
+
+// Why a prediction needs a human first, or null when it can be acted on
+function getReviewReason(score, action) {
+  const { minConfidence, actions } = getReviewSettings();
+  if (score < minConfidence) return "low_confidence";
+  if (actions.includes(action.actionCode)) return "action_requires_review";
+  return null;
+}
+
+// Put an analysis on hold until a reviewer decides
+function enqueueForReview(analysis, reason) {
+  const item = {
+    id: generateId(),
+    analysisEventId: analysis.eventId,
+    queuedAt: new Date().toISOString(),
+    review: analysis.row.text,
+    productId: analysis.row.productId || "",
+    userId: analysis.row.userId || "",
+    source: analysis.source,
+    modelId: getActiveProvider().modelId,
+    reason,
+    label: analysis.label,
+    score: analysis.score,
+    actionCode: analysis.action.actionCode,
+    ruleId: analysis.action.ruleId,
+    status: "pending",
+    finalLabel: null,
+    finalAction: null,
+    reviewedAt: null
+  };
+  reviewQueue.push(item);
+  saveReviewQueue();
+  renderReviewQueue();
+  return item;
+}
+
+// Show that the decision waits for a reviewer instead of offering its buttons
+function displayPendingReview(action, reason) {
+  displayBusinessAction({
+    ...action,
+    uiMessage: `Waiting for human review (${reason === "low_confidence" ? "low confidence" : "costly action"}). The model suggests ${action.actionCode}.`,
+    uiColor: "#718096",
+    icon: "fa-user-clock",
+    cssClass: "pending-review",
+    actionCode: "PENDING_REVIEW"
+  });
+}
+
+/**
+ * Record a reviewer's decision on a queued prediction and log it next to
+ * the model's original decision.
+ * @param {string} id - Queue item id
+ * @param {string} finalLabel - Label the reviewer confirmed or chose
+ * @param {string} finalAction - Action code the reviewer confirmed or chose
+ */
+function resolveReview(id, finalLabel, finalAction) {
+  const item = reviewQueue.find((entry) => entry.id === id);
+  if (!item || item.status !== "pending") return;
+
+  const overridden = finalLabel !== item.label || finalAction !== item.actionCode;
+  Object.assign(item, {
+    status: overridden ? "overridden" : "approved",
+    finalLabel,
+    finalAction,
+    reviewedAt: new Date().toISOString()
+  });
+  saveReviewQueue();
+  renderReviewQueue();
+
+  const analysis = currentAnalysis && currentAnalysis.eventId === item.analysisEventId ? currentAnalysis : null;
+  logFollowUpEvent(overridden ? "human_override" : "human_approval", {
+    reviewed_by_human: true,
+    original_label: item.label,
+    original_confidence: item.score,
+    original_action: item.actionCode,
+    final_label: finalLabel,
+    final_action: finalAction,
+    review_reason: item.reason
+  }, { eventId: item.analysisEventId, label: item.label, score: item.score, action: { actionCode: finalAction } });
+
+  // The reviewed review is still on screen: let the rep act on the final decision
+  if (analysis) {
+    const action = { ...(businessRules.actions[finalAction] || {}), actionCode: finalAction, ruleId: "human-review" };
+    currentAnalysis = { ...analysis, label: finalLabel, action };
+    displayBusinessAction(action);
+  }
+}
+
+// Pending items first, then the most recently reviewed
+function renderReviewQueue() {
+  if (!reviewQueueBody) return;
+  const pending = reviewQueue.filter((item) => item.status === "pending");
+  const reviewed = reviewQueue.filter((item) => item.status !== "pending").slice(-20).reverse();
+  if (reviewQueueCount) {
+    reviewQueueCount.textContent = `${pending.length} pending · ${reviewQueue.length - pending.length} reviewed`;
+  }
+
+  if (reviewQueue.length === 0) {
+    reviewQueueBody.innerHTML = '<tr><td colspan="5" class="browser-empty">Nothing waiting for review.</td></tr>';
+    return;
+  }
+
+  const actionCodes = Object.keys(businessRules.actions);
+  const options = (values, selected) => values
+    .map((value) => `<option value="${value}"${value === selected ? " selected" : ""}>${value}</option>`).join("");
+
+  reviewQueueBody.innerHTML = [...pending, ...reviewed].map((item) => `
+    <tr data-review-id="${item.id}">
+      <td class="browser-text">${escapeHtml(item.review)}</td>
+      <td><span class="eval-tag ${item.label.toLowerCase()}">${item.label}</span> ${(item.score * 100).toFixed(1)}%</td>
+      <td>${item.actionCode}<br><small>${item.reason === "low_confidence" ? "low confidence" : "costly action"}</small></td>
+      ${item.status === "pending" ? `
+      <td>
+        <select data-review-field="label">${options(REVIEW_LABELS, item.label)}</select>
+        <select data-review-field="action">${options(actionCodes, item.actionCode)}</select>
+      </td>
+      <td><button data-review-decision="approve">Approve</button> <button class="secondary-button" data-review-decision="override">Save override</button></td>` : `
+      <td>${item.finalLabel} / ${item.finalAction}</td>
+      <td><span class="eval-tag ${item.status === "approved" ? "positive" : "neutral"}">${item.status}</span></td>`}
+    </tr>`).join("");
+}
+
+// One delegated listener for every Approve / Save override button
+function handleReviewQueueClick(event) {
+  const button = event.target.closest("[data-review-decision]");
+  if (!button) return;
+  const row = button.closest("[data-review-id]");
+  const item = reviewQueue.find((entry) => entry.id === row.dataset.reviewId);
+  if (!item) return;
+
+  if (button.dataset.reviewDecision === "approve") {
+    resolveReview(item.id, item.label, item.actionCode);
+  } else {
+    resolveReview(
+      item.id,
+      row.querySelector('[data-review-field="label"]').value,
+      row.querySelector('[data-review-field="action"]').value
+    );
+  }
+}
+
+// Reviewed items as corrected training labels
+function serializeCorrectedLabels(format) {
+  const rows = reviewQueue.filter((item) => item.status !== "pending").map((item) => ({
+    review: item.review,
+    product_id: item.productId,
+    user_id: item.userId,
+    model_id: item.modelId,
+    model_label: item.label,
+    model_confidence: item.score,
+    model_action: item.actionCode,
+    label: item.finalLabel,
+    action: item.finalAction,
+    reviewed_by_human: true,
+    reviewed_at: item.reviewedAt,
+    analysis_event_id: item.analysisEventId
+  }));
+  if (format === "csv") return Papa.unparse(rows);
+  return rows.map((row) => JSON.stringify(row)).join("\n") + "\n";
+}
+
+// Download the corrected labels in the chosen format
+function exportCorrectedLabels(format) {
+  if (!reviewQueue.some((item) => item.status !== "pending")) {
+    showError("No reviewed predictions to export yet.");
+    return;
+  }
+  const mimeTypes = { csv: "text/csv", jsonl: "application/x-ndjson" };
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  downloadFile(`corrected-labels-${stamp}.${format}`, serializeCorrectedLabels(format), mimeTypes[format]);
+}
+
+// Wire the queue table and export buttons
+function initReviewQueue() {
+  if (reviewQueueBody) reviewQueueBody.addEventListener("click", handleReviewQueueClick);
+  reviewExportButtons.forEach((button) => {
+    button.addEventListener("click", () => exportCorrectedLabels(button.dataset.reviewExport));
+  });
+  renderReviewQueue();
+}
+
+/* ----------------------------------------------------------------------
+   ASPECTS – what a review praises or criticises
+   Dictionary entries match the start of a word, so "deliver" also
+   finds "delivery" and "delivered".
+---------------------------------------------------------------------- */
+// Aspect dictionary from the rule set; without one no aspects are tagged
+function getAspectDictionary() {
+  return businessRules.aspects || {};
+}
+
+// Case-insensitive word-start pattern for one aspect's keywords
+function buildAspectPattern(keywords) {
+  const escaped = keywords.map((keyword) => String(keyword).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`\\b(?:${escaped.join("|")})`, "i");
+}
+
+/**
+ * Tag the aspects a review talks about. Each sentence that mentions an
+ * aspect votes with its own sentiment; without per-sentence results the
+ * whole review is one sentence with the overall label. A sentence that
+ * mentions several aspects ("arrived on time but tastes stale") cannot say
+ * which one its label belongs to, so it only marks them as mentioned.
+ * @param {string} text - Full review text
+ * @param {Array|null} segments - [{ text, output }] from classifyWithSegments
+ * @param {string} overallLabel - POSITIVE / NEGATIVE / NEUTRAL of the whole review
+ * @returns {Array} [{ aspect, sentiment: "praised" | "criticised" | "mentioned" }]
+ */
+function detectAspects(text, segments, overallLabel) {
+  const parts = segments
+    ? segments.map((segment) => ({ text: segment.text, label: extractSentimentData(segment.output).label }))
+    : [{ text, label: overallLabel }];
+
+  const patterns = Object.entries(getAspectDictionary())
+    .filter(([, keywords]) => Array.isArray(keywords) && keywords.length > 0)
+    .map(([aspect, keywords]) => [aspect, buildAspectPattern(keywords)]);
+  const partAspects = parts.map((part) => patterns.filter(([, pattern]) => pattern.test(part.text)).map(([aspect]) => aspect));
+
+  return patterns.flatMap(([aspect]) => {
+    const votes = { POSITIVE: 0, NEGATIVE: 0, NEUTRAL: 0 };
+    parts.forEach((part, i) => {
+      if (!partAspects[i].includes(aspect)) return;
+      const label = partAspects[i].length === 1 ? part.label : "NEUTRAL";
+      votes[label] = (votes[label] || 0) + 1;
+    });
+    if (votes.POSITIVE + votes.NEGATIVE + votes.NEUTRAL === 0) return [];
+
+    let sentiment = "mentioned";
+    if (votes.NEGATIVE > 0 && votes.NEGATIVE >= votes.POSITIVE) sentiment = "criticised";
+    else if (votes.POSITIVE > votes.NEGATIVE) sentiment = "praised";
+    return [{ aspect, sentiment }];
+  });
+}
+
+// Aspect names grouped by sentiment, for rules and log meta
+function groupAspects(aspects) {
+  const groups = { praised: [], criticised: [], mentioned: [] };
+  (aspects || []).forEach((item) => groups[item.sentiment].push(item.aspect));
+  return groups;
+}
+
+// Aspect tags under the sentiment result
+function displayAspectTags(aspects) {
+  if (!aspectTagsElement) return;
+  if (!aspects || aspects.length === 0) {
+    aspectTagsElement.innerHTML = "";
+    return;
+  }
+  const classes = { praised: "positive", criticised: "negative", mentioned: "neutral" };
+  aspectTagsElement.innerHTML = `<strong>Aspects:</strong> ${aspects.map((item) =>
+    `<span class="eval-tag ${classes[item.sentiment]}">${escapeHtml(item.aspect)} – ${item.sentiment}</span>`).join("")}`;
+}
+
+/* ----------------------------------------------------------------------
+   PRODUCTS & REVIEWERS – history aggregated per productId and userId
+---------------------------------------------------------------------- */
+const AGGREGATE_TABLE_ROWS = 20;
+
+let selectedProductId = null; // product shown in the drill-down
+
+// 0 (negative) – 1 (positive) score of a history entry; older entries did not store it
+function historyNormalizedScore(entry) {
+  if (typeof entry.normalizedScore === "number") return entry.normalizedScore;
+  if (entry.label === "POSITIVE") return Number(entry.score);
+  if (entry.label === "NEGATIVE") return 1 - Number(entry.score);
+  return 0.5;
+}
+
+/**
+ * Group history entries by one id field.
+ * @param {Array<object>} entries - Analysis history entries
+ * @param {string} key - "productId" or "userId"
+ * @returns {Array<object>} [{ id, total, averageScore, negativeShare, topAction, entries }]
+ */
+function aggregateHistoryBy(entries, key) {
+  const groups = new Map();
+  entries.filter((entry) => entry[key]).forEach((entry) => {
+    if (!groups.has(entry[key])) groups.set(entry[key], []);
+    groups.get(entry[key]).push(entry);
+  });
+
+  return Array.from(groups, ([id, group]) => {
+    const actions = {};
+    group.forEach((entry) => { actions[entry.actionCode] = (actions[entry.actionCode] || 0) + 1; });
+    return {
+      id,
+      total: group.length,
+      averageScore: group.reduce((sum, entry) => sum + historyNormalizedScore(entry), 0) / group.length,
+      negativeShare: group.filter((entry) => entry.sentiment === "negative").length / group.length,
+      topAction: Object.keys(actions).reduce((best, code) => (actions[code] > actions[best] ? code : best)),
+      entries: group
+    };
+  });
+}
+
+// Worst products first: lowest average score, ties broken by volume
+function renderProductView(entries) {
+  if (!productViewElement) return;
+  const products = aggregateHistoryBy(entries, "productId")
+    .sort((a, b) => a.averageScore - b.averageScore || b.total - a.total);
+
+  if (products.length === 0) {
+    productViewElement.innerHTML = '<p class="browser-empty">No product ids in these analyses.</p>';
+    productDetailElement.innerHTML = "";
+    return;
+  }
+
+  productViewElement.innerHTML = `
+    <table class="eval-table browser-table">
+      <thead><tr><th>Product</th><th>Analyses</th><th>Avg. score</th><th>Negative</th><th>Most common action</th></tr></thead>
+      <tbody>${products.slice(0, AGGREGATE_TABLE_ROWS).map((product) => `
+        <tr data-product-id="${escapeHtml(product.id)}"${product.id === selectedProductId ? ' class="selected-row"' : ""}>
+          <td>${escapeHtml(product.id)}</td>
+          <td>${product.total}</td>
+          <td>${product.averageScore.toFixed(2)}</td>
+          <td>${(product.negativeShare * 100).toFixed(0)}%</td>
+          <td>${escapeHtml(product.topAction)}</td>
+        </tr>`).join("")}
+      </tbody>
+    </table>
+    ${products.length > AGGREGATE_TABLE_ROWS ? `<p><small>Showing the ${AGGREGATE_TABLE_ROWS} lowest-scoring of ${products.length} products.</small></p>` : ""}`;
+
+  renderProductDetail(products.find((product) => product.id === selectedProductId));
+}
+
+// Every analysis of the selected product, newest first
+function renderProductDetail(product) {
+  if (!productDetailElement) return;
+  if (!product) {
+    productDetailElement.innerHTML = '<p class="browser-empty">Click a product to see its reviews.</p>';
+    return;
+  }
+  productDetailElement.innerHTML = `
+    <h4>${escapeHtml(product.id)} – ${product.total} review${product.total === 1 ? "" : "s"}</h4>
+    <ul class="eval-misclassified">${product.entries.slice().reverse().map((entry) => `
+      <li>
+        <span class="eval-tag ${entry.sentiment}">${entry.label} ${(Number(entry.score) * 100).toFixed(0)}%</span>
+        <span class="eval-tag">${escapeHtml(entry.actionCode)}</span>
+        <small>${escapeHtml(String(entry.timestamp).substring(0, 10))}</small>
+        <p>${escapeHtml(entry.review)}</p>
+      </li>`).join("")}
+    </ul>`;
+}
+
+// Reviewers with enough reviews that are mostly negative are flagged and listed first
+function renderReviewerView(entries) {
+  if (!reviewerViewElement) return;
+  const minReviews = Math.max(1, Number(reviewerMinInput?.value) || 3);
+  const negativeShare = Math.min(1, Math.max(0, (Number(reviewerShareInput?.value) || 75) / 100));
+
+  const reviewers = aggregateHistoryBy(entries, "userId").map((reviewer) => ({
+    ...reviewer,
+    flagged: reviewer.total >= minReviews && reviewer.negativeShare >= negativeShare
+  }));
+  const flaggedCount = reviewers.filter((reviewer) => reviewer.flagged).length;
+  reviewers.sort((a, b) => b.flagged - a.flagged || b.negativeShare - a.negativeShare || b.total - a.total);
+
+  if (reviewers.length === 0) {
+    reviewerViewElement.innerHTML = '<p class="browser-empty">No user ids in these analyses.</p>';
+    return;
+  }
+
+  reviewerViewElement.innerHTML = `
+    <p class="eval-summary">${flaggedCount} of ${reviewers.length} reviewers are consistently negative</p>
+    <table class="eval-table">
+      <thead><tr><th>Reviewer</th><th>Analyses</th><th>Avg. score</th><th>Negative</th><th></th></tr></thead>
+      <tbody>${reviewers.slice(0, AGGREGATE_TABLE_ROWS).map((reviewer) => `
+        <tr>
+          <td>${escapeHtml(reviewer.id)}</td>
+          <td>${reviewer.total}</td>
+          <td>${reviewer.averageScore.toFixed(2)}</td>
+          <td>${(reviewer.negativeShare * 100).toFixed(0)}%</td>
+          <td>${reviewer.flagged ? '<span class="eval-tag negative">consistently negative</span>' : ""}</td>
+        </tr>`).join("")}
+      </tbody>
+    </table>`;
+}
+
+// Redraw both views for the dashboard's source filter
+function renderAggregateViews() {
+  const source = dashboardSourceSelect ? dashboardSourceSelect.value : "";
+  const entries = source ? analysisHistory.filter((entry) => entry.source === source) : analysisHistory;
+  renderProductView(entries);
+  renderReviewerView(entries);
+}
 
-    // Log to Google Sheets with action_taken
-    logAnalysis(selectedReview, sentiment, label, score, action);
-    // ----------------------------------
+// Drill-down clicks and reviewer threshold inputs
+function initAggregateViews() {
+  if (productViewElement) {
+    productViewElement.addEventListener("click", (event) => {
+      const row = event.target.closest("[data-product-id]");
+      if (!row) return;
+      selectedProductId = row.dataset.productId === selectedProductId ? null : row.dataset.productId;
+      renderAggregateViews();
+    });
+  }
+  [reviewerMinInput, reviewerShareInput].forEach((input) => {
+    if (input) input.addEventListener("input", renderAggregateViews);
+  });
+}
+
+/* ----------------------------------------------------------------------
+   LANGUAGES – detection and routing to a model that reads the language
+---------------------------------------------------------------------- */
+const MULTILINGUAL_MODEL_ID = "Xenova/bert-base-multilingual-uncased-sentiment";
+const LANGUAGE_NAMES = { en: "English", de: "German", fr: "French", es: "Spanish" };
+
+// Model per detected language; languages not listed use the selected model
+const LANGUAGE_MODELS = {
+  de: MULTILINGUAL_MODEL_ID,
+  fr: MULTILINGUAL_MODEL_ID,
+  es: MULTILINGUAL_MODEL_ID
+};
+
+// Frequent short words that identify each language. Words that also turn
+// up in English reviews ("no", "lo mein", "die", "war", "a la carte") are
+// left out of the other languages' lists.
+const LANGUAGE_STOPWORDS = {
+  en: ["the", "and", "is", "it", "this", "was", "of", "to", "for", "with", "not", "my", "but", "very", "have", "you", "they", "are", "that", "i"],
+  de: ["der", "das", "und", "ist", "nicht", "ich", "sehr", "mit", "ein", "eine", "zu", "auf", "für", "aber", "auch", "wir", "schmeckt", "den", "dem", "sich"],
+  fr: ["le", "les", "et", "est", "une", "je", "pas", "très", "pour", "avec", "des", "du", "mais", "sont", "il", "était", "qui", "vraiment", "cette", "goût", "c'est"],
+  es: ["el", "los", "las", "y", "es", "una", "que", "muy", "pero", "con", "para", "por", "del", "fue", "está", "bueno", "esta", "este", "sabor", "también"]
+};
+
+// Letters that only (or mostly) occur in one of the languages
+const LANGUAGE_CHARACTERS = { de: /[äöüß]/g, fr: /[àâçèêëîïôœùû]/g, es: /[ñ¿¡áíóú]/g };
+
+// Evidence a non-English guess needs before a review is routed away from the
+// selected model, on top of the stopword lists above
+const LANGUAGE_MIN_EVIDENCE = 2;   // distinct stopwords, plus 0.5 per characteristic letter
+const LANGUAGE_MIN_MARGIN = 1;     // lead over the English score
+
+/**
+ * Guess a review's language from stopwords and characteristic letters.
+ * Each stopword counts once, so a repeated "no" is not three Spanish words.
+ * @returns {object} { language, confidence } – language is "und" when the
+ *   evidence is too thin to tell
+ */
+function detectLanguage(text) {
+  const lower = String(text || "").toLowerCase();
+  const words = new Set(lower.match(/[\p{L}']+/gu) || []);
+  const scores = {};
+  Object.entries(LANGUAGE_STOPWORDS).forEach(([language, stopwords]) => {
+    scores[language] = stopwords.filter((word) => words.has(word)).length;
+  });
+  Object.entries(LANGUAGE_CHARACTERS).forEach(([language, pattern]) => {
+    scores[language] += (lower.match(pattern) || []).length * 0.5;
+  });
+
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  if (total === 0) return { language: "und", confidence: 0 };
+  const language = Object.keys(scores).reduce((best, key) => (scores[key] > scores[best] ? key : best));
+  if (language !== "en" && (scores[language] < LANGUAGE_MIN_EVIDENCE || scores[language] - scores.en < LANGUAGE_MIN_MARGIN)) {
+    return scores.en > 0 ? { language: "en", confidence: scores.en / total } : { language: "und", confidence: 0 };
+  }
+  return { language, confidence: scores[language] / total };
+}
+
+// Language models already loaded (or loading): model id -> Promise<{ classify, classifyBatch }>
+const languagePipelines = new Map();
+
+// Load a routed model next to the selected one, in the worker when there is one
+function getLanguagePipeline(modelId) {
+  if (!languagePipelines.has(modelId)) {
+    const loading = (async () => {
+      updateStatus(`Loading ${modelId} for non-English reviews...`, "info");
+      if (getSentimentWorker()) {
+        try {
+          await loadModelInWorker(modelId, "language");
+          return {
+            classify: (text) => callWorker("predict", { text, options: { top_k: null }, modelId }),
+            classifyBatch: (texts, hooks) => callWorker("batch", { texts, options: { top_k: null }, modelId }, hooks)
+          };
+        } catch (error) {
+          if (!error.workerFailed) throw error;
+        }
+      }
+      const classifier = await pipeline("text-classification", modelId, { progress_callback: updateModelProgress });
+      const classify = (text) => classifier(text, { top_k: null });
+      return { classify, classifyBatch: (texts, hooks) => classifySequentially(classify, texts, hooks) };
+    })();
+    loading
+      .then(() => { resetModelProgress(); updateStatus("Sentiment model ready", "success"); })
+      .catch(() => languagePipelines.delete(modelId));
+    languagePipelines.set(modelId, loading);
+  }
+  return languagePipelines.get(modelId);
+}
+
+/**
+ * Provider that classifies texts of one language. Remote and lexicon
+ * providers, English and unknown languages, and a selected model that is
+ * already multilingual all keep the selected provider.
+ */
+function getLanguageProvider(provider, language) {
+  const modelId = LANGUAGE_MODELS[language];
+  if (activeProviderId !== "local" || !modelId || modelId === activeModelId) return provider;
+  return {
+    modelId,
+    classify: async (text) => (await getLanguagePipeline(modelId)).classify(text),
+    classifyBatch: async (texts, hooks) => (await getLanguagePipeline(modelId)).classifyBatch(texts, hooks)
+  };
+}
+
+// "Detected language: German" above the review text
+function displayReviewLanguage(detection, modelId) {
+  if (!reviewLanguageElement) return;
+  if (!detection) {
+    reviewLanguageElement.textContent = "";
+    return;
+  }
+  const name = LANGUAGE_NAMES[detection.language] || "Unknown";
+  const routed = modelId && modelId !== getActiveProvider().modelId ? ` · scored with ${modelId}` : "";
+  reviewLanguageElement.textContent = `Detected language: ${name} (${(detection.confidence * 100).toFixed(0)}%)${routed}`;
+}
+
+/* ----------------------------------------------------------------------
+   PRIVACY – consent, PII redaction and how much of a review is logged
+---------------------------------------------------------------------- */
+const LS_KEY_CONSENT = "sa_consent";       // "granted" | "denied"; unset until asked
+const LS_KEY_PRIVACY_LEVEL = "sa_privacy_level";
+
+// How much review text leaves the browser
+const PRIVACY_LEVELS = {
+  none: "Nothing (labels and actions only)",
+  hashed: "SHA-256 hash of the text",
+  redacted: "Text with personal data removed",
+  full: "Full text"
+};
+
+// Meta fields that quote the review and follow the same level
+const TEXT_META_FIELDS = ["top_phrases"];
+
+// Patterns for personal data, applied in this order (order numbers before phones)
+const PII_PATTERNS = [
+  { tag: "[EMAIL]", pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  { tag: "[ORDER]", pattern: /\b\d{3}-\d{7}-\d{7}\b/g },
+  {
+    tag: "[ORDER]",
+    pattern: /(\b(?:[Oo]rder|ORDER|[Bb]estellung|[Cc]ommande|[Pp]edido)\s*(?:no\.?|number|nr\.?|id|n°)?\s*[:#]?\s*)([A-Za-z0-9-]*\d[A-Za-z0-9-]{3,})/g,
+    keep: 1
+  },
+  { tag: "[ORDER]", pattern: /#\d{5,}\b/g },
+  {
+    tag: "[PHONE]",
+    pattern: /(?:\+|\b)\d[\d\s()./-]{6,}\d\b/g,
+    minDigits: 8,
+    // Dates such as 12/05/2023, 12.05.2023 or 2023-05-12 are not phone numbers
+    exclude: /^(?:\d{1,2}([./-])\d{1,2}\1\d{2}(?:\d{2})?|\d{4}([./-])\d{1,2}\2\d{1,2})$/
+  },
+  {
+    // Introductions, salutations, greetings and sign-offs followed by a capitalised name
+    tag: "[NAME]",
+    pattern: /(\b(?:[Mm]y name is|[Nn]ame's|[Cc]all me|(?:Mr|Mrs|Ms|Miss|Dr|Prof)\.?|[Dd]ear|[Hh]i|[Hh]ello|[Tt]hanks|[Tt]hank you|[Rr]egards|[Cc]heers|[Ss]incerely)[,!.]?\s+-?\s*)([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/g,
+    keep: 1
+  }
+];
+
+// Replace emails, order numbers, phone numbers and names with placeholders
+function redactPII(text) {
+  return PII_PATTERNS.reduce((result, { tag, pattern, keep, minDigits, exclude }) => result.replace(pattern, (match, ...groups) => {
+    if (minDigits && (match.match(/\d/g) || []).length < minDigits) return match;
+    if (exclude && exclude.test(match)) return match;
+    return keep ? `${groups[keep - 1]}${tag}` : tag;
+  }), String(text || ""));
+}
+
+// Stored consent: "granted", "denied" or null when not asked yet
+function getConsent() {
+  return localStorage.getItem(LS_KEY_CONSENT);
+}
+
+// Selected send level, "redacted" until changed
+function getPrivacyLevel() {
+  const level = localStorage.getItem(LS_KEY_PRIVACY_LEVEL);
+  return PRIVACY_LEVELS[level] ? level : "redacted";
+}
+
+// Hex SHA-256 of a string, or "" outside a secure context
+async function sha256Hex(text) {
+  if (!globalThis.crypto?.subtle) return "";
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Reduce a log payload to what the send level allows. The browser user
+ * agent only goes out at the "full" level.
+ * @returns {Promise<object>} A new payload; the input is not modified
+ */
+async function applyPrivacy(payload) {
+  const level = getPrivacyLevel();
+  const meta = { ...(payload.meta || {}), privacy_level: level };
+  let review = String(payload.review || "");
+
+  if (level === "none") {
+    review = "";
+  } else if (level === "hashed") {
+    review = review ? `sha256:${await sha256Hex(normalizeCacheText(review))}` : "";
+  } else if (level === "redacted") {
+    review = redactPII(review);
+  }
+
+  if (level !== "full") {
+    delete meta.user_agent;
+    TEXT_META_FIELDS.forEach((field) => {
+      if (!(field in meta)) return;
+      if (level === "redacted") meta[field] = JSON.parse(redactPII(JSON.stringify(meta[field])));
+      else delete meta[field];
+    });
+  }
+  return { ...payload, review, meta };
+}
+
+// Record the visitor's choice; withdrawing consent also drops unsent events
+async function setConsent(granted) {
+  localStorage.setItem(LS_KEY_CONSENT, granted ? "granted" : "denied");
+  renderPrivacyControls();
+  logPendingReferralVisit().catch((err) => console.error("Referral tracking failed:", err));
+  if (granted) {
+    flushOutbox();
+  } else {
+    const pending = await outboxGetBatch(Infinity).catch(() => []);
+    await outboxDelete(pending.map((event) => event.eventId)).catch(() => {});
+    updatePendingIndicator();
+  }
+}
+
+// Rotate the user id and delete everything stored about this browser's user
+async function forgetMe() {
+  if (!confirm("Delete your local history, review queue, coupons, locally kept and unsent logs, and start with a new anonymous id?")) return;
 
+  localStorage.removeItem(LS_KEY_UID);
+  getUserId();
+  analysisHistory = [];
+  saveHistory();
+  renderHistory();
+  renderDashboard();
+  reviewQueue = [];
+  saveReviewQueue();
+  renderReviewQueue();
+  currentAnalysis = null;
+  // Coupons carry the old id; the time of the last one stays so the window is not reset
+  saveCoupons([]);
+  renderCoupons();
+
+  const pending = await outboxGetBatch(Infinity).catch(() => []);
+  await outboxDelete(pending.map((event) => event.eventId)).catch(() => {});
+  await deadLetterClear().catch(() => {});
+  updatePendingIndicator();
+  // Events already delivered to the in-browser sinks carry the old id and review text
+  localStorage.removeItem(LS_KEY_LOCAL_LOG);
+  localStorage.removeItem(LS_KEY_PENDING_REFERRAL);
+  ndjsonLogLines = [];
+  renderLogSinks();
+  await clearPredictionCache().catch(() => {});
+  if (privacyStatusElement) privacyStatusElement.textContent = "Your local data was deleted and you have a new anonymous id.";
+}
+
+// Banner while consent is undecided, plus the settings in the privacy section
+function renderPrivacyControls() {
+  const consent = getConsent();
+  if (consentBanner) consentBanner.style.display = consent ? "none" : "flex";
+  if (privacyStatusElement) {
+    privacyStatusElement.textContent = consent === "granted"
+      ? "Logging is on: events go to the enabled log sinks below."
+      : "Logging is off. Nothing is sent; history, queue and cache stay in this browser.";
+  }
+  if (consentToggleBtn) consentToggleBtn.textContent = consent === "granted" ? "Withdraw consent" : "Allow logging";
+  if (privacyLevelSelect) privacyLevelSelect.value = getPrivacyLevel();
+}
+
+// Wire the banner, level select and "forget me"
+function initPrivacyControls() {
+  if (privacyLevelSelect) {
+    privacyLevelSelect.innerHTML = "";
+    Object.entries(PRIVACY_LEVELS).forEach(([id, name]) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = name;
+      privacyLevelSelect.appendChild(option);
+    });
+    privacyLevelSelect.addEventListener("change", () => {
+      localStorage.setItem(LS_KEY_PRIVACY_LEVEL, privacyLevelSelect.value);
+    });
+  }
+  if (consentAcceptBtn) consentAcceptBtn.addEventListener("click", () => setConsent(true));
+  if (consentDeclineBtn) consentDeclineBtn.addEventListener("click", () => setConsent(false));
+  if (consentToggleBtn) consentToggleBtn.addEventListener("click", () => setConsent(getConsent() !== "granted"));
+  if (forgetMeBtn) forgetMeBtn.addEventListener("click", forgetMe);
+  renderPrivacyControls();
+}
+
+/* ----------------------------------------------------------------------
+   LOG SINKS – where queued events are delivered
+   The list comes from log_sinks.json so each build can log somewhere else;
+   without it events only go to the original Google Sheet.
+---------------------------------------------------------------------- */
+const LOG_SINKS_URL = "log_sinks.json";
+const LS_KEY_LOCAL_LOG = "sa_local_log";
+
+// Form fields of the original Google Sheets format
+const GAS_FORM_FIELDS = {
+  schema_version: "schema_version",
+  event_id: "event_id",
+  ts: "ts",
+  review: "review",
+  sentiment: "sentiment",
+  action_taken: "action_taken",
+  meta: "meta",
+  key_id: "key_id",
+  signature: "signature"
+};
+
+// Fallback when log_sinks.json cannot be loaded
+const DEFAULT_LOG_SINKS = [
+  { id: "sheets", type: "gas-form", enabled: true, url: GAS_WEB_APP_URL, fields: GAS_FORM_FIELDS }
+];
+
+// Shared HMAC key for event signatures; each deployment sets its own in log_sinks.json
+const DEFAULT_LOG_SIGNING = { keyId: "demo", key: "sa-log-demo-key" };
+
+let logSinks = DEFAULT_LOG_SINKS;
+let logSigning = DEFAULT_LOG_SIGNING;
+let logSinksReady = null;        // resolves once log_sinks.json was applied (or rejected)
+let ndjsonLogLines = [];         // events collected by ndjson sinks this session
+const sinkDeliveries = {};       // sink id -> events delivered this session
+const sinkRejections = {};       // sink id -> why the receiver last kept events back
+
+// Events per request: the sink's batchSize, else the whole outbox batch. The
+// Sheets script deployed at GAS_WEB_APP_URL predates apps_script/Code.gs; it
+// only reads the single-row form fields and answers 200 to a batch, so it
+// gets one event per request unless its config says otherwise.
+function getSinkBatchSize(sink) {
+  if (sink.batchSize) return sink.batchSize;
+  return sink.type === "gas-form" && sink.url === GAS_WEB_APP_URL ? 1 : OUTBOX_BATCH_SIZE;
+}
+
+// Receiver reasons a retry cannot fix (see checkEvent in apps_script/Code.gs)
+const PERMANENT_REJECTIONS = /^(unsupported schema_version|missing event_id|unknown key_id|bad signature|meta is not valid JSON)/;
+
+// Delivery function per sink type: (sink, records) => Promise
+const LOG_SINK_TYPES = {
+  // CORS simple request (no preflight): one event as form fields, several as a JSON `events` field
+  "gas-form": async (sink, records) => {
+    let form;
+    if (records.length === 1) {
+      form = buildLogForm(records[0]);
+    } else {
+      form = new URLSearchParams();
+      form.set("events", JSON.stringify(records.map((record) => Object.fromEntries(buildLogForm(record)))));
+    }
+    const res = await fetch(sink.url, { method: "POST", body: form });
+    return readReceiverResult(res);
+  },
+
+  "json-webhook": async (sink, records) => {
+    const res = await fetch(sink.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(sink.headers || {}) },
+      body: JSON.stringify({ events: records })
+    });
+    return readReceiverResult(res);
+  },
+
+  // Newest events kept in localStorage, oldest dropped past maxEvents
+  local: async (sink, records) => {
+    const stored = loadLocalLog();
+    stored.push(...records);
+    localStorage.setItem(LS_KEY_LOCAL_LOG, JSON.stringify(stored.slice(-(sink.maxEvents || 1000))));
+  },
+
+  ndjson: async (sink, records) => {
+    ndjsonLogLines.push(...records.map((record) => JSON.stringify(record)));
+  }
+};
+
+/**
+ * Read what a receiver did with the events. apps_script/Code.gs always
+ * answers 200 (Apps Script cannot set a status), so the body says which
+ * events it stored: { accepted, duplicates, rejected: [{ event_id, reason }] }
+ * or { error } for a request it could not read or a sheet that was busy.
+ * An HTML page is Apps Script's own error page (an exception in the
+ * script), so it counts as a failure. Receivers that answer anything else
+ * are taken to have stored the whole request.
+ * @returns {Promise<{ stored: string[], rejected: object[] }|null>} null: all stored
+ */
+async function readReceiverResult(res) {
+  const text = await res.text();
+  if (!res.ok) throw new Error(`HTTP ${res.status}: ${text}`);
+  if (/^\s*</.test(text)) throw new Error(`Receiver answered with an error page (HTTP ${res.status})`);
+  let result;
+  try {
+    result = JSON.parse(text);
   } catch (error) {
-    console.error("Error:", error);
-    showError(error.message || "Failed to analyze sentiment.");
+    return null;
+  }
+  if (result && result.error) throw new Error(`Receiver error: ${result.error}`);
+  if (!result || !Array.isArray(result.accepted)) return null;
+  return {
+    stored: [...result.accepted, ...(result.duplicates || [])].map(String),
+    rejected: Array.isArray(result.rejected) ? result.rejected : []
+  };
+}
+
+// Fetch the sink list; a missing or broken file keeps the built-in sinks
+function loadLogSinks() {
+  logSinksReady = (async () => {
+    try {
+      const response = await fetch(LOG_SINKS_URL);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const config = await response.json();
+      validateLogSinks(config);
+      logSinks = config.sinks;
+      logSigning = config.signing || DEFAULT_LOG_SIGNING;
+      console.log("Loaded", logSinks.filter((sink) => sink.enabled).length, "enabled log sinks");
+    } catch (error) {
+      console.warn("Using built-in log sinks:", error.message || error);
+      logSinks = DEFAULT_LOG_SINKS;
+      logSigning = DEFAULT_LOG_SIGNING;
+    }
+    renderLogSinks();
+  })();
+  return logSinksReady;
+}
+
+// Throws on the first problem so a broken sinks file never half-applies
+function validateLogSinks(config) {
+  if (!config || !Array.isArray(config.sinks)) throw new Error("Sink config must have a 'sinks' array");
+  if (config.signing && (!config.signing.keyId || !config.signing.key)) {
+    throw new Error("'signing' needs a keyId and a key");
+  }
+  const ids = new Set();
+  config.sinks.forEach((sink, index) => {
+    const name = sink.id || `#${index}`;
+    if (!sink.id || ids.has(sink.id)) throw new Error(`Sink ${name} needs a unique id`);
+    ids.add(sink.id);
+    if (!LOG_SINK_TYPES[sink.type]) throw new Error(`Sink ${name} has unknown type '${sink.type}'`);
+    if ((sink.type === "gas-form" || sink.type === "json-webhook") && !sink.url) {
+      throw new Error(`Sink ${name} needs a url`);
+    }
+    if (sink.fields && typeof sink.fields !== "object") throw new Error(`Sink ${name} has invalid fields`);
+    if (sink.batchSize !== undefined && !(Number.isInteger(sink.batchSize) && sink.batchSize > 0)) {
+      throw new Error(`Sink ${name} needs a positive whole batchSize`);
+    }
+  });
+}
+
+// Sinks that currently receive events
+function getEnabledSinks() {
+  return logSinks.filter((sink) => sink.enabled);
+}
+
+// Read the local log sink's store
+function loadLocalLog() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LS_KEY_LOCAL_LOG) || "[]");
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.warn("Discarding unreadable local log:", error);
+    return [];
+  }
+}
+
+// Value at a dotted path such as "meta.user_id"
+function readField(record, path) {
+  return String(path).split(".").reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+/**
+ * Shape an event for one sink. `fields` maps output names to dotted paths
+ * in the event record; without a mapping the whole record is sent.
+ */
+function mapLogFields(record, fields) {
+  if (!fields) return record;
+  return Object.fromEntries(Object.entries(fields).map(([name, path]) => [name, readField(record, path)]));
+}
+
+// Event record every sink mapping reads from
+function buildLogRecord(event) {
+  return { ...event.payload, event_id: event.eventId };
+}
+
+// Build the form body for one record (objects are sent as JSON)
+function buildLogForm(record) {
+  const form = new URLSearchParams();
+  Object.entries(record).forEach(([name, value]) => {
+    if (value === undefined || value === null) return;
+    form.set(name, typeof value === "object" ? JSON.stringify(value) : String(value));
+  });
+  return form;
+}
+
+/**
+ * Deliver a batch to every sink it is still pending for. Progress is saved
+ * after each request, so a failing sink does not make the others send twice,
+ * and events no sink is waiting for are removed from the outbox even when a
+ * later request fails. Events a receiver refuses for a reason a retry cannot
+ * fix (an old key, a bad signature) are moved to the dead-letter store; other
+ * rejections keep the event queued and the flush is retried with backoff.
+ * @returns {Promise<string[]>} Ids of events that no sink is waiting for any more
+ */
+async function deliverToSinks(events) {
+  // Events queued before the schema was versioned are signed on the way out;
+  // ones that cannot pass validation would be rejected anyway and are dropped
+  const dropped = [];
+  for (const event of events) {
+    if (event.payload.schema_version) continue;
+    try {
+      event.payload = await prepareLogEvent(event.payload, event.eventId);
+    } catch (err) {
+      console.warn(`Dropping queued event ${event.eventId}:`, err.message);
+      dropped.push(event.eventId);
+    }
+  }
+  if (dropped.length > 0) events = events.filter((event) => !dropped.includes(event.eventId));
+
+  const enabled = getEnabledSinks();
+  const enabledIds = enabled.map((sink) => sink.id);
+  // Events queued before a config change only wait for sinks that still exist
+  events.forEach((event) => {
+    event.pendingSinks = (event.pendingSinks || enabledIds).filter((id) => enabledIds.includes(id));
+  });
+
+  const rejections = [];
+  const finished = () => events.filter((event) => event.pendingSinks.length === 0).map((event) => event.eventId).concat(dropped);
+  try {
+    for (const sink of enabled) {
+      const pending = events.filter((event) => event.pendingSinks.includes(sink.id));
+      const size = getSinkBatchSize(sink);
+      for (let start = 0; start < pending.length; start += size) {
+        const chunk = pending.slice(start, start + size);
+        const result = await LOG_SINK_TYPES[sink.type](sink, chunk.map((event) => mapLogFields(buildLogRecord(event), sink.fields)));
+        const stored = result ? chunk.filter((event) => result.stored.includes(event.eventId)) : chunk;
+        const refused = [];
+        (result ? result.rejected : []).forEach((item) => {
+          const event = chunk.find((candidate) => candidate.eventId === String(item.event_id));
+          if (event && PERMANENT_REJECTIONS.test(String(item.reason))) refused.push({ event, reason: item.reason });
+        });
+        if (result && stored.length < chunk.length) {
+          const reasons = result.rejected.map((item) => `${item.event_id}: ${item.reason}`);
+          sinkRejections[sink.id] = reasons.join("; ") || "not acknowledged";
+          const kept = chunk.length - stored.length - refused.length;
+          if (kept > 0) rejections.push(`${sink.id} kept ${kept} event(s) (${sinkRejections[sink.id]})`);
+        } else {
+          delete sinkRejections[sink.id];
+        }
+        for (const { event, reason } of refused) {
+          console.warn(`${sink.id} refused event ${event.eventId} (${reason}); moved to the dead-letter store`);
+          await deadLetterPut(event, sink.id, reason);
+        }
+        sinkDeliveries[sink.id] = (sinkDeliveries[sink.id] || 0) + stored.length;
+        for (const event of [...stored, ...refused.map((item) => item.event)]) {
+          event.pendingSinks = event.pendingSinks.filter((id) => id !== sink.id);
+          await outboxPut(event);
+        }
+      }
+    }
   } finally {
-    loadingElement.style.display = "none";
-    analyzeBtn.disabled = false;
+    await outboxDelete(finished());
+    renderLogSinks();
+  }
+  if (rejections.length > 0) {
+    throw new Error(`Receiver rejected events: ${rejections.join(", ")}`);
+  }
+  return finished();
+}
+
+// Download everything the ndjson sinks collected this session
+function downloadNdjsonLog() {
+  if (ndjsonLogLines.length === 0) {
+    showError("The NDJSON log is empty. Enable an ndjson sink in log_sinks.json to collect events.");
+    return;
+  }
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  downloadFile(`sentiment-log-${stamp}.ndjson`, ndjsonLogLines.join("\n") + "\n", "application/x-ndjson");
+}
+
+// Configured sinks with their state and this session's deliveries
+function renderLogSinks() {
+  if (!logSinksElement) return;
+  logSinksElement.innerHTML = `
+    <table class="eval-table">
+      <thead><tr><th>Sink</th><th>Type</th><th>Status</th><th>Delivered</th></tr></thead>
+      <tbody>${logSinks.map((sink) => `
+        <tr>
+          <td>${escapeHtml(sink.id)}</td>
+          <td>${escapeHtml(sink.type)}${sink.url ? `<br><small>${escapeHtml(sink.url)}</small>` : ""}</td>
+          <td>
+            <span class="eval-tag ${sink.enabled ? "positive" : "neutral"}">${sink.enabled ? "enabled" : "disabled"}</span>
+            ${sinkRejections[sink.id] ? `<br><span class="eval-tag negative">rejecting</span> <small>${escapeHtml(sinkRejections[sink.id])}</small>` : ""}
+          </td>
+          <td>${sinkDeliveries[sink.id] || 0}${sink.type === "local" ? ` <small>(${loadLocalLog().length} stored)</small>` : ""}</td>
+        </tr>`).join("")}
+      </tbody>
+    </table>`;
+}
+
+// Wire the download and clear buttons
+function initLogSinkControls() {
+  if (downloadLogBtn) downloadLogBtn.addEventListener("click", downloadNdjsonLog);
+  if (clearLocalLogBtn) {
+    clearLocalLogBtn.addEventListener("click", () => {
+      localStorage.removeItem(LS_KEY_LOCAL_LOG);
+      renderLogSinks();
+    });
+  }
+  renderLogSinks();
+}
+
+/* ----------------------------------------------------------------------
+   LOG SCHEMA – versioned, validated and signed events
+   apps_script/Code.gs is the matching receiver: it recomputes the
+   signature and rejects versions it does not know.
+---------------------------------------------------------------------- */
+const LOG_SCHEMA_VERSION = 2; // 1 was the unversioned, unsigned format
+const LOG_REVIEW_MAX_LENGTH = 5000;
+
+// Every field an event may carry, with its type; anything else is rejected
+const LOG_SCHEMA = {
+  schema_version: "number",
+  event_id: "string",
+  ts: "number",
+  review: "string",
+  sentiment: "string",
+  action_taken: "string",
+  meta: "object",
+  key_id: "string",
+  signature: "string"
+};
+
+// Meta keys every event must have
+const LOG_SCHEMA_META = { user_id: "string", timestamp_iso: "string" };
+
+/**
+ * Check an unsigned event against LOG_SCHEMA.
+ * @returns {string[]} Problems found; empty when the event is valid
+ */
+function validateLogEvent(record) {
+  const errors = [];
+  Object.keys(record).forEach((field) => {
+    if (!LOG_SCHEMA[field]) errors.push(`unknown field '${field}'`);
+  });
+  Object.entries(LOG_SCHEMA).forEach(([field, type]) => {
+    if (field === "key_id" || field === "signature") return; // added by signing
+    const value = record[field];
+    if (type === "object" ? !value || typeof value !== "object" || Array.isArray(value) : typeof value !== type) {
+      errors.push(`'${field}' must be of type ${type}`);
+    }
+  });
+  if (record.schema_version !== LOG_SCHEMA_VERSION) errors.push(`unsupported schema_version ${record.schema_version}`);
+  if (typeof record.event_id === "string" && !/^[\w-]{8,64}$/.test(record.event_id)) errors.push("malformed event_id");
+  if (typeof record.ts === "number" && !(record.ts > 0)) errors.push("'ts' must be a positive timestamp");
+  if (typeof record.review === "string" && record.review.length > LOG_REVIEW_MAX_LENGTH) {
+    errors.push(`'review' is longer than ${LOG_REVIEW_MAX_LENGTH} characters`);
+  }
+  if (typeof record.action_taken === "string" && !/^[A-Z_]*$/.test(record.action_taken)) errors.push("malformed action_taken");
+  if (record.meta && typeof record.meta === "object") {
+    Object.entries(LOG_SCHEMA_META).forEach(([key, type]) => {
+      if (typeof record.meta[key] !== type) errors.push(`'meta.${key}' must be of type ${type}`);
+    });
+  }
+  return errors;
+}
+
+// The exact string that is signed; Code.gs rebuilds it from the received fields
+function canonicalLogString(record) {
+  return [
+    record.schema_version,
+    record.event_id,
+    record.ts,
+    record.review,
+    record.sentiment,
+    record.action_taken,
+    JSON.stringify(record.meta)
+  ].join("\n");
+}
+
+/**
+ * Stamp, validate and sign an event before it is queued. The key ships
+ * with the page, so the signature stops casual junk posts and column
+ * drift rather than a determined forger.
+ * @throws {Error} When the event does not match the schema
+ */
+async function prepareLogEvent(payload, eventId) {
+  const record = {
+    schema_version: LOG_SCHEMA_VERSION,
+    event_id: eventId,
+    ts: payload.ts || Date.now(),
+    // Cut only now: redaction can make the text longer ("a@b.c" -> "[EMAIL]")
+    review: String(payload.review || "").substring(0, LOG_REVIEW_MAX_LENGTH),
+    sentiment: String(payload.sentiment || ""),
+    action_taken: String(payload.action_taken || ""),
+    meta: payload.meta || {}
+  };
+  const errors = validateLogEvent(record);
+  if (errors.length > 0) throw new Error(`Invalid log event: ${errors.join("; ")}`);
+
+  return {
+    ...record,
+    key_id: logSigning.keyId,
+    signature: await hmacHex(logSigning.key, canonicalLogString(record))
+  };
+}
+
+/* ----------------------------------------------------------------------
+   CLASSIFIER PROVIDERS – every backend returns [{ label, score }, ...]
+---------------------------------------------------------------------- */
+// Small offline lexicon; negators flip the polarity of the next two words in the same clause
+const LEXICON_POSITIVE = [
+  "good", "great", "excellent", "amazing", "love", "loved", "loves", "delicious", "best", "perfect",
+  "wonderful", "fantastic", "tasty", "favorite", "favourite", "recommend", "happy", "nice", "fresh",
+  "awesome", "enjoy", "enjoyed", "yummy", "smooth", "satisfied", "pleased", "fast", "easy"
+];
+const LEXICON_NEGATIVE = [
+  "bad", "terrible", "awful", "horrible", "worst", "hate", "hated", "disappointed", "disappointing",
+  "gross", "stale", "broken", "waste", "poor", "bland", "expensive", "refund", "returned",
+  "sick", "disgusting", "rancid", "weird", "slow", "damaged", "leaking", "overpriced"
+];
+const LEXICON_NEGATORS = ["not", "no", "never", "don't", "didn't", "doesn't", "isn't", "wasn't", "can't", "won't"];
+
+const SENTIMENT_PROVIDERS = {
+  local: {
+    name: "Transformers.js (in browser)",
+    get modelId() { return activeModelId; },
+    isReady: () => sentimentPipeline !== null,
+    init: async () => {
+      if (!sentimentPipeline) await initSentimentModel();
+      else updateStatus("Sentiment model ready", "success");
+    },
+    // top_k: null returns the score of every label, not just the winner
+    classify: async (text) => sentimentPipeline(text, { top_k: null }),
+    classifyBatch: (texts, hooks) => (sentimentWorker
+      ? callWorker("batch", { texts, options: { top_k: null }, modelId: activeModelId }, hooks)
+      : classifySequentially((text) => sentimentPipeline(text, { top_k: null }), texts, hooks))
+  },
+
+  remote: {
+    name: "Hugging Face Inference API (remote)",
+    modelId: REMOTE_MODEL_ID,
+    isReady: () => true,
+    init: async () => {
+      updateStatus(getApiToken() ? "Remote classifier ready" : "Remote classifier selected – enter an API token", "info");
+    },
+    classify: classifyRemote
+  },
+
+  lexicon: {
+    name: "Lexicon fallback (offline)",
+    modelId: "lexicon-v1",
+    isReady: () => true,
+    init: async () => {
+      updateStatus("Lexicon classifier ready (offline)", "success");
+    },
+    classify: async (text) => classifyWithLexicon(text)
+  }
+};
+
+let activeProviderId = "local";
+
+// Models the local provider can load, keyed by Hugging Face model id
+const SENTIMENT_MODELS = {
+  "Xenova/distilbert-base-uncased-finetuned-sst-2-english": {
+    name: "DistilBERT SST-2 (positive / negative)",
+    kind: "binary"
+  },
+  "Xenova/twitter-roberta-base-sentiment-latest": {
+    name: "Twitter RoBERTa (positive / neutral / negative)",
+    kind: "three-class"
+  },
+  "SamLowe/roberta-base-go_emotions-onnx": {
+    name: "RoBERTa GoEmotions (28 emotions, multi-label)",
+    kind: "emotion"
+  },
+  [MULTILINGUAL_MODEL_ID]: {
+    name: "BERT multilingual (1–5 stars; en, de, fr, es, it, nl)",
+    kind: "stars"
+  }
+};
+
+// Switch the local model; the old pipeline is dropped and the new one loaded
+async function selectModel(modelId) {
+  const previousModelId = activeModelId;
+  activeModelId = SENTIMENT_MODELS[modelId] ? modelId : DEFAULT_MODEL_ID;
+  if (activeModelId !== previousModelId) {
+    clearPredictionCache(previousModelId).catch((error) => console.warn("Prediction cache clear failed:", error));
+  }
+  localStorage.setItem(LS_KEY_MODEL, activeModelId);
+  if (modelSelect) modelSelect.value = activeModelId;
+  sentimentPipeline = null;
+  renderSimulator();
+  if (activeProviderId === "local") {
+    hideError();
+    await initSentimentModel();
+  }
+}
+
+// Return the currently selected provider
+function getActiveProvider() {
+  return SENTIMENT_PROVIDERS[activeProviderId];
+}
+
+// Switch classifier backend and initialise it if needed
+async function selectProvider(id) {
+  activeProviderId = SENTIMENT_PROVIDERS[id] ? id : "local";
+  localStorage.setItem(LS_KEY_PROVIDER, activeProviderId);
+  if (providerSelect) providerSelect.value = activeProviderId;
+  hideError();
+  renderSimulator();
+  await getActiveProvider().init();
+}
+
+// Fill the backend selector and wire the token field
+function initProviderControls() {
+  if (providerSelect) {
+    providerSelect.innerHTML = "";
+    Object.entries(SENTIMENT_PROVIDERS).forEach(([id, provider]) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = provider.name;
+      providerSelect.appendChild(option);
+    });
+    providerSelect.addEventListener("change", () => selectProvider(providerSelect.value));
+  }
+  if (modelSelect) {
+    modelSelect.innerHTML = "";
+    Object.entries(SENTIMENT_MODELS).forEach(([id, model]) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = model.name;
+      modelSelect.appendChild(option);
+    });
+    modelSelect.addEventListener("change", () => selectModel(modelSelect.value));
+  }
+  const savedModel = localStorage.getItem(LS_KEY_MODEL);
+  activeModelId = SENTIMENT_MODELS[savedModel] ? savedModel : DEFAULT_MODEL_ID;
+  if (modelSelect) modelSelect.value = activeModelId;
+  if (apiTokenInput) {
+    apiTokenInput.value = localStorage.getItem(LS_KEY_API_TOKEN) || "";
+    apiTokenInput.addEventListener("change", () => {
+      const token = apiTokenInput.value.trim();
+      if (token) localStorage.setItem(LS_KEY_API_TOKEN, token);
+      else localStorage.removeItem(LS_KEY_API_TOKEN);
+    });
+  }
+}
+
+// Read the Hugging Face token from the #api-token field
+function getApiToken() {
+  return apiTokenInput ? apiTokenInput.value.trim() : "";
+}
+
+// Call the remote Hugging Face endpoint with the user's token
+async function classifyRemote(text) {
+  const token = getApiToken();
+  if (!token) {
+    throw new Error("The remote classifier needs a Hugging Face API token. Please enter it above.");
   }
+
+  const response = await fetch(REMOTE_ENDPOINT_URL, {
+    method: "POST",
+    headers: {
+      "Authorization": `Bearer ${token}`,
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ inputs: text })
+  });
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error("The Hugging Face API rejected the token. Please check it and try again.");
+  }
+  if (response.status === 429) {
+    throw new Error("Rate limit exceeded. Please wait a moment before trying again.");
+  }
+  if (response.status === 503) {
+    throw new Error("Model is loading. Please try again in a few seconds.");
+  }
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status}`);
+  }
+
+  // The API nests results per input: [[{label, score}, ...]]
+  const data = await response.json();
+  return Array.isArray(data) && Array.isArray(data[0]) ? data[0] : data;
+}
+
+// Deterministic word-count classifier used when no model is available
+function classifyWithLexicon(text) {
+  const clauses = String(text).toLowerCase().split(/[.,;:!?]+/);
+  let total = 0;
+
+  clauses.forEach((clause) => {
+    const words = clause.match(/[a-z']+/g) || [];
+    let negateFor = 0;
+    words.forEach((word) => {
+      let polarity = 0;
+      if (LEXICON_POSITIVE.includes(word)) polarity = 1;
+      else if (LEXICON_NEGATIVE.includes(word)) polarity = -1;
+
+      total += negateFor > 0 ? -polarity : polarity;
+      if (LEXICON_NEGATORS.includes(word)) negateFor = 2;
+      else if (negateFor > 0) negateFor--;
+    });
+  });
+
+  // Squash the net polarity into a probability distribution over both labels
+  const positiveProb = 1 / (1 + Math.exp(-total));
+  return [
+    { label: "POSITIVE", score: positiveProb },
+    { label: "NEGATIVE", score: 1 - positiveProb }
+  ];
+}
+
+/**
+ * Classify many texts with the selected provider.
+ * @param {string[]} texts
+ * @param {object} [hooks] - { onProgress(done, total), signal: AbortSignal }
+ * @returns {Promise<Array>} Raw provider output per text (feed to extractSentimentData)
+ */
+async function analyzeSentimentBatch(texts, hooks = {}) {
+  const results = await classifyWithSegments(texts, hooks);
+  return results.map((result) => result.output);
 }
 
-// Analyze sentiment using transformers.js
+// Analyze sentiment using the selected provider; the result also carries
+// the segments of multi-sentence reviews, the detected language and the model used
 async function analyzeSentiment(text) {
-  if (!sentimentPipeline) throw new Error("Sentiment model is not initialized.");
-  const output = await sentimentPipeline(text);
-  if (!Array.isArray(output) || output.length === 0) throw new Error("Invalid sentiment output.");
-  return [output];
+  const [{ output, segments, language, modelId }] = await classifyWithSegments([text]);
+  if (!output || (Array.isArray(output) && output.length === 0)) throw new Error("Invalid sentiment output.");
+  const result = [Array.isArray(output) ? output : [output]];
+  result.segments = segments;
+  result.language = language;
+  result.modelId = modelId;
+  return result;
+}
+
+// Provider-specific label spellings mapped to the canonical labels
+const LABEL_ALIASES = {
+  POSITIVE: "POSITIVE",
+  POS: "POSITIVE",
+  LABEL_1: "POSITIVE",
+  NEGATIVE: "NEGATIVE",
+  NEG: "NEGATIVE",
+  LABEL_0: "NEGATIVE",
+  NEUTRAL: "NEUTRAL",
+  NEU: "NEUTRAL"
+};
+
+// Map any provider label to POSITIVE / NEGATIVE / NEUTRAL
+function normalizeLabel(rawLabel) {
+  const key = String(rawLabel || "").trim().toUpperCase();
+  return LABEL_ALIASES[key] || key || "NEUTRAL";
+}
+
+// GoEmotions labels grouped by the polarity they express
+const EMOTION_POLARITY = {
+  admiration: "POSITIVE", amusement: "POSITIVE", approval: "POSITIVE", caring: "POSITIVE",
+  desire: "POSITIVE", excitement: "POSITIVE", gratitude: "POSITIVE", joy: "POSITIVE",
+  love: "POSITIVE", optimism: "POSITIVE", pride: "POSITIVE", relief: "POSITIVE",
+  anger: "NEGATIVE", annoyance: "NEGATIVE", disappointment: "NEGATIVE", disapproval: "NEGATIVE",
+  disgust: "NEGATIVE", embarrassment: "NEGATIVE", fear: "NEGATIVE", grief: "NEGATIVE",
+  nervousness: "NEGATIVE", remorse: "NEGATIVE", sadness: "NEGATIVE",
+  confusion: "NEUTRAL", curiosity: "NEUTRAL", realization: "NEUTRAL", surprise: "NEUTRAL", neutral: "NEUTRAL"
+};
+
+// Polarity of any label: sentiment labels map directly, star ratings by
+// count (1–2 negative, 3 neutral, 4–5 positive), emotions via EMOTION_POLARITY
+function getPolarity(rawLabel) {
+  const label = normalizeLabel(rawLabel);
+  if (label === "POSITIVE" || label === "NEGATIVE" || label === "NEUTRAL") return label;
+  const stars = String(rawLabel).match(/^([1-5]) stars?$/i);
+  if (stars) return stars[1] <= 2 ? "NEGATIVE" : stars[1] >= 4 ? "POSITIVE" : "NEUTRAL";
+  return EMOTION_POLARITY[String(rawLabel).trim().toLowerCase()] || "NEUTRAL";
 }
 
-// Extract sentiment data – now also returns rawLabel (original model label)
+/**
+ * Extract sentiment data from any provider output.
+ * Binary, three-class and multi-label emotion outputs are all collapsed into a
+ * polarity distribution; label/score are the winning polarity and its share.
+ * @returns {object} { sentiment, label, score, rawLabel, labels, distribution }
+ *   labels - every model label with its score, highest first (for the chart)
+ *   distribution - { POSITIVE, NEGATIVE, NEUTRAL } summing to 1
+ */
 function extractSentimentData(result) {
   let sentiment = "neutral";
   let score = 0.5;
   let label = "NEUTRAL";
-  let rawLabel = "NEUTRAL";  // new
-
-  if (Array.isArray(result) && result.length > 0 && Array.isArray(result[0]) && result[0].length > 0) {
-    const sentimentData = result[0][0];
-    if (sentimentData && typeof sentimentData === "object") {
-      rawLabel = sentimentData.label || "NEUTRAL";
-      label = rawLabel.toUpperCase();
-      score = sentimentData.score || 0.5;
-
-      if (label === "POSITIVE" && score > 0.5) {
-        sentiment = "positive";
-      } else if (label === "NEGATIVE" && score > 0.5) {
-        sentiment = "negative";
-      } else {
-        sentiment = "neutral";
-      }
+  let rawLabel = "NEUTRAL";
+  let labels = [];
+  let distribution = null;
+
+  // Accept [[{...}]], [{...}] or a bare {...}
+  let candidates = result;
+  if (Array.isArray(candidates) && Array.isArray(candidates[0])) candidates = candidates[0];
+  if (candidates && !Array.isArray(candidates)) candidates = [candidates];
+
+  if (Array.isArray(candidates)) {
+    // Providers do not all sort their output, so sort it ourselves
+    labels = candidates
+      .filter((c) => c && typeof c === "object" && Number.isFinite(Number(c.score)))
+      .map((c) => ({ label: String(c.label || "NEUTRAL"), score: Number(c.score) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  if (labels.length > 0) {
+    rawLabel = labels[0].label;
+
+    // Sum scores per polarity, then rescale (multi-label scores do not sum to 1)
+    const totals = { POSITIVE: 0, NEGATIVE: 0, NEUTRAL: 0 };
+    labels.forEach((item) => { totals[getPolarity(item.label)] += item.score; });
+    const sum = totals.POSITIVE + totals.NEGATIVE + totals.NEUTRAL;
+
+    if (labels.length === 1 || sum === 0) {
+      // Only the winner is known, as with a top-1 response
+      label = getPolarity(rawLabel);
+      score = labels[0].score;
+    } else {
+      distribution = {
+        POSITIVE: totals.POSITIVE / sum,
+        NEGATIVE: totals.NEGATIVE / sum,
+        NEUTRAL: totals.NEUTRAL / sum
+      };
+      label = Object.keys(distribution).reduce((best, key) => (distribution[key] > distribution[best] ? key : best));
+      score = distribution[label];
+    }
+
+    if (label === "POSITIVE" && score > 0.5) {
+      sentiment = "positive";
+    } else if (label === "NEGATIVE" && score > 0.5) {
+      sentiment = "negative";
+    } else {
+      sentiment = "neutral";
     }
   }
 
-  return { sentiment, label, score, rawLabel };
+  return { sentiment, label, score, rawLabel, labels, distribution };
 }
 
 // Display sentiment result
-function displaySentimentResult(sentiment, label, score) {
+function displaySentimentResult(sentiment, label, score, labels = []) {
   sentimentResult.classList.add(sentiment);
   sentimentResult.innerHTML = `
     <i class="fas ${getSentimentIcon(sentiment)} icon"></i>
     <span>${label} (${(score * 100).toFixed(1)}% confidence)</span>
   `;
+  displayLabelDistribution(labels);
 }
 
-// Log analysis to Google Sheets – now includes action_taken
-async function logAnalysis(review, sentiment, label, score, action) {
+// Render every label returned by the model as a horizontal bar
+function displayLabelDistribution(labels) {
+  if (!labelDistribution) return;
+  labelDistribution.innerHTML = labels.map((item) => `
+    <div class="distribution-row">
+      <span class="distribution-label">${escapeHtml(item.label)}</span>
+      <div class="distribution-bar">
+        <div class="distribution-fill ${getPolarity(item.label).toLowerCase()}" style="width: ${(item.score * 100).toFixed(1)}%"></div>
+      </div>
+      <span class="distribution-value">${(item.score * 100).toFixed(1)}%</span>
+    </div>`).join("");
+}
+
+// Log analysis to Google Sheets – now includes action_taken and where the text came from
+async function logAnalysis(review, sentiment, label, score, action, source = "dataset", eventId = generateId(), extraMeta = {}) {
   const userId = getUserId();
   const meta = {
     user_id: userId,
-    model: "Xenova/distilbert-base-uncased-finetuned-sst-2-english",
+    model: getActiveProvider().modelId,
+    provider: activeProviderId,
     sentiment_bucket: sentiment,
     label: label,
     confidence: score,
     user_agent: navigator.userAgent,
     timestamp_iso: new Date().toISOString(),
     review_length: review.length,
-    business_decision: action.actionCode   // record which action was triggered
+    review_source: source,                 // "dataset" row or "manual" entry
+    business_decision: action.actionCode,  // record which action was triggered
+    business_rule: action.ruleId,
+    ...extraMeta
   };
 
   const payload = {
+    event_id: eventId,
     ts: Date.now(),
-    review: review.substring(0, 5000),
+    review,                               // cut to LOG_REVIEW_MAX_LENGTH after redaction
     sentiment: `${label} (${(score * 100).toFixed(1)}% confidence)`,
     action_taken: action.actionCode,      // new column
     meta: meta
@@ -386,6 +4527,30 @@ async function logAnalysis(review, sentiment, label, score, action) {
   sendLogSimple(payload).catch(err => console.error("Background logging error:", err));
 }
 
+/**
+ * Log something that happened after an analysis (coupon issued, link shared, ...).
+ * The row carries the analysis' action_taken and links back to it through
+ * meta.analysis_event_id instead of repeating the review text. Defaults to
+ * the analysis on screen; pass another ({ eventId, label, score, action }) if needed.
+ */
+async function logFollowUpEvent(eventName, details = {}, analysis = currentAnalysis) {
+  const payload = {
+    ts: Date.now(),
+    review: "",
+    sentiment: analysis ? `${analysis.label} (${(analysis.score * 100).toFixed(1)}% confidence)` : "",
+    action_taken: analysis ? analysis.action.actionCode : "",
+    meta: {
+      user_id: getUserId(),
+      event: eventName,
+      analysis_event_id: analysis ? analysis.eventId : null,
+      timestamp_iso: new Date().toISOString(),
+      ...details
+    }
+  };
+
+  sendLogSimple(payload).catch(err => console.error("Background logging error:", err));
+}
+
 // Get appropriate icon for sentiment bucket
 function getSentimentIcon(sentiment) {
   switch (sentiment) {
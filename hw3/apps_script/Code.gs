@@ -0,0 +1,181 @@
+/* ----------------------------------------------------------------------
+   Reference receiver for the "sheets" log sink (log_sinks.json).
+
+   Deploy as a web app (execute as: me, access: anyone) bound to the log
+   spreadsheet, then set one Script Property per signing key:
+     LOG_KEY_<keyId> = <key>      e.g. LOG_KEY_demo = sa-log-demo-key
+
+   Accepts one event as form fields (the gas-form sink), several as a JSON
+   `events` form field (the gas-form sink with a batchSize above 1 in
+   log_sinks.json) or a JSON body of the form { events: [...] } (the
+   json-webhook sink). Every event must carry a supported schema_version
+   and a valid signature; event_ids that are already in the sheet are
+   acknowledged but not written twice.
+---------------------------------------------------------------------- */
+const SUPPORTED_SCHEMA_VERSIONS = [2];
+const SHEET_NAME = "logs";
+const COLUMNS = [
+  "event_id",
+  "schema_version",
+  "ts",
+  "review",
+  "sentiment",
+  "action_taken",
+  "meta",
+  "key_id",
+  "received_at"
+];
+
+function doPost(e) {
+  let events;
+  try {
+    events = parseEvents(e);
+  } catch (err) {
+    return jsonResponse({ error: "Malformed request: " + err.message });
+  }
+
+  const result = { accepted: [], duplicates: [], rejected: [] };
+  const valid = [];
+  events.forEach((event) => {
+    const problem = checkEvent(event);
+    if (problem) result.rejected.push({ event_id: event.event_id || null, reason: problem });
+    else valid.push(event);
+  });
+
+  // Serialize writers so two batches cannot both pass the duplicate check.
+  // waitLock would throw and answer with an HTML error page; the client
+  // needs a JSON error to keep the events queued.
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) return jsonResponse({ error: "Log sheet is busy, try again" });
+  try {
+    const sheet = getLogSheet();
+    const seen = new Set();
+    const rows = [];
+    valid.forEach((event) => {
+      if (seen.has(event.event_id) || isLogged(sheet, event.event_id)) {
+        result.duplicates.push(event.event_id);
+        return;
+      }
+      seen.add(event.event_id);
+      rows.push(toRow(event));
+      result.accepted.push(event.event_id);
+    });
+    if (rows.length > 0) {
+      sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, COLUMNS.length).setValues(rows);
+    }
+  } catch (err) {
+    return jsonResponse({ error: "Could not write to the log sheet: " + err.message });
+  } finally {
+    lock.releaseLock();
+  }
+
+  return jsonResponse(result);
+}
+
+// Whether an event_id is already in the sheet; searched in place instead of
+// reading the whole column for every request
+function isLogged(sheet, eventId) {
+  if (sheet.getLastRow() < 2) return false;
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, 1)
+    .createTextFinder(String(eventId))
+    .matchEntireCell(true)
+    .findNext() !== null;
+}
+
+// Events arrive as form fields (one event) or as a JSON { events } batch
+function parseEvents(e) {
+  const type = (e.postData && e.postData.type) || "";
+  if (type.indexOf("application/json") === 0) return parseBatch(JSON.parse(e.postData.contents).events);
+  if (e.parameter && e.parameter.events) return parseBatch(JSON.parse(e.parameter.events));
+  return [{ ...e.parameter }];
+}
+
+// Batched events carry meta as an object; re-serialize it the way the client signed it
+function parseBatch(events) {
+  if (!Array.isArray(events)) throw new Error("'events' must be an array");
+  return events.map((event) => ({
+    ...event,
+    meta: typeof event.meta === "string" ? event.meta : JSON.stringify(event.meta)
+  }));
+}
+
+/**
+ * Validate one event. The meta field stays the exact string the client
+ * signed, so the signature is checked against the bytes that were sent.
+ * @returns {string|null} Why the event was rejected, or null when it is fine
+ */
+function checkEvent(event) {
+  const version = Number(event.schema_version);
+  if (SUPPORTED_SCHEMA_VERSIONS.indexOf(version) === -1) {
+    return "unsupported schema_version " + event.schema_version;
+  }
+  if (!event.event_id || !event.signature || !event.key_id) return "missing event_id, key_id or signature";
+
+  const key = PropertiesService.getScriptProperties().getProperty("LOG_KEY_" + event.key_id);
+  if (!key) return "unknown key_id " + event.key_id;
+
+  const canonical = [
+    event.schema_version,
+    event.event_id,
+    event.ts,
+    event.review,
+    event.sentiment,
+    event.action_taken,
+    event.meta
+  ].join("\n");
+  const expected = toHex(Utilities.computeHmacSha256Signature(canonical, key, Utilities.Charset.UTF_8));
+  if (!constantTimeEquals(expected, String(event.signature).toLowerCase())) return "bad signature";
+
+  try {
+    JSON.parse(event.meta);
+  } catch (err) {
+    return "meta is not valid JSON";
+  }
+  return null;
+}
+
+function toRow(event) {
+  return [
+    asText(event.event_id),
+    Number(event.schema_version),
+    Number(event.ts),
+    asText(event.review),
+    asText(event.sentiment),
+    asText(event.action_taken),
+    asText(event.meta),
+    asText(event.key_id),
+    new Date()
+  ];
+}
+
+// Typed-in text like "=HYPERLINK(...)" or "-1 star" must not become a formula
+function asText(value) {
+  const text = String(value == null ? "" : value);
+  return /^[=+\-@\t\r]/.test(text) ? "'" + text : text;
+}
+
+function getLogSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SHEET_NAME);
+    sheet.appendRow(COLUMNS);
+  }
+  return sheet;
+}
+
+// computeHmacSha256Signature returns signed bytes (-128..127)
+function toHex(bytes) {
+  return bytes.map((b) => ("0" + (b & 0xff).toString(16)).slice(-2)).join("");
+}
+
+function constantTimeEquals(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+function jsonResponse(data) {
+  return ContentService.createTextOutput(JSON.stringify(data)).setMimeType(ContentService.MimeType.JSON);
+}
@@ -0,0 +1,95 @@
+// sentiment-worker.js - Runs the Transformers.js pipeline off the main thread
+//
+// Messages in:
+//   { type: "load", id, modelId, role }  – role "language" keeps the main model loaded
+//   { type: "predict", id, text, options, modelId? }
+//   { type: "batch", id, texts, options, modelId? }
+//   { type: "cancel", id }
+// Messages out:
+//   { type: "progress", data }            – raw progress_callback payload
+//   { type: "ready", id, modelId }
+//   { type: "result", id, output }
+//   { type: "batch-progress", id, done, total }
+//   { type: "batch-result", id, outputs }
+//   { type: "cancelled", id }
+//   { type: "error", id, message }
+//
+// Loads run one after another in the order they arrive, so the main model
+// is always the one requested last.
+
+import { pipeline } from "https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.7.6/dist/transformers.min.js";
+
+let classifier = null;
+let loadedModelId = null;
+const languageClassifiers = new Map(); // per-language models, loaded next to the main one
+const cancelledBatches = new Set();
+let loadQueue = Promise.resolve();     // loads waiting for the one in progress
+
+// Load (or swap) the text-classification pipeline, forwarding download progress
+async function loadModel(modelId, role) {
+  const progress_callback = (data) => self.postMessage({ type: "progress", data });
+  if (role === "language") {
+    if (!languageClassifiers.has(modelId)) {
+      languageClassifiers.set(modelId, await pipeline("text-classification", modelId, { progress_callback }));
+    }
+  } else {
+    classifier = null;
+    loadedModelId = null;
+    classifier = await pipeline("text-classification", modelId, { progress_callback });
+    loadedModelId = modelId;
+  }
+}
+
+// Pipeline for a request: a language model when asked for, the main model otherwise
+function getClassifier(modelId) {
+  const selected = modelId && modelId !== loadedModelId ? languageClassifiers.get(modelId) : classifier;
+  if (!selected) throw new Error(`Model ${modelId || loadedModelId || ""} is not loaded.`);
+  return selected;
+}
+
+// Score texts one by one so progress can be reported and the batch cancelled
+async function runBatch(id, texts, options, classify) {
+  const outputs = [];
+  for (let i = 0; i < texts.length; i++) {
+    if (cancelledBatches.has(id)) {
+      cancelledBatches.delete(id);
+      self.postMessage({ type: "cancelled", id });
+      return;
+    }
+    outputs.push(await classify(texts[i], options));
+    self.postMessage({ type: "batch-progress", id, done: i + 1, total: texts.length });
+    // Yield so a pending "cancel" message gets handled before the next text
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+  self.postMessage({ type: "batch-result", id, outputs });
+}
+
+self.addEventListener("message", async (event) => {
+  const message = event.data || {};
+  try {
+    switch (message.type) {
+      case "load": {
+        const loading = loadQueue.then(() => loadModel(message.modelId, message.role));
+        loadQueue = loading.catch(() => {}); // a failed load must not block the next one
+        await loading;
+        self.postMessage({ type: "ready", id: message.id, modelId: message.modelId });
+        break;
+      }
+      case "predict": {
+        const output = await getClassifier(message.modelId)(message.text, message.options);
+        self.postMessage({ type: "result", id: message.id, output });
+        break;
+      }
+      case "batch":
+        await runBatch(message.id, message.texts, message.options, getClassifier(message.modelId));
+        break;
+      case "cancel":
+        cancelledBatches.add(message.id);
+        break;
+      default:
+        throw new Error(`Unknown message type: ${message.type}`);
+    }
+  } catch (error) {
+    self.postMessage({ type: "error", id: message.id ?? null, message: error.message || String(error) });
+  }
+});